@@ -1,5 +1,6 @@
 // Background script for GraphQL Cluster Visualizer Extension
 // Handles GraphQL request interception and communication with content script
+// Responses are parsed by cluster-parser.js, which is loaded first
 
 // Configuration
 const config = {
@@ -25,108 +26,28 @@ const config = {
 // Store for intercepted requests
 const requests = [];
 let lastClusterData = null;
+let lastClusterCount = 0;
 
 // Helper function to check if a URL is a GraphQL endpoint
 function isGraphQLUrl(url) {
   return config.graphqlPatterns.some(pattern => pattern.test(url));
 }
 
-// Check if a GraphQL response contains cluster data
-function isClusterData(response) {
-  if (!response) return false;
-  
-  try {
-    // Check if it's an array response
-    if (Array.isArray(response)) {
-      for (const item of response) {
-        if (item.data &&
-            (item.data.prsn_deduplicationClusters ||
-             item.data.deduplicationClusters)) {
-          return true;
-        }
-      }
-    }
-    // Check if it's a single response object
-    else if (response.data &&
-            (response.data.prsn_deduplicationClusters ||
-             response.data.deduplicationClusters)) {
-      return true;
-    }
-  } catch (e) {
-    console.error('Error checking for cluster data:', e);
-  }
-  
-  return false;
+// Describe the captured request a cluster came from, so the visualizer can show its provenance
+function getRequestSource(req) {
+  return {
+    type: 'captured',
+    operationName: req.operationName || null,
+    url: req.url || null,
+    capturedAt: new Date(req.timestamp).toISOString(),
+    requestedId: req.variables && req.variables.id ? String(req.variables.id) : null
+  };
 }
 
-// Extract operation type from query
-function getOperationType(query) {
-  if (!query) return 'unknown';
-  
-  // Simple regex to determine operation type
-  if (query.trim().startsWith('query')) return 'query';
-  if (query.trim().startsWith('mutation')) return 'mutation';
-  if (query.trim().startsWith('subscription')) return 'subscription';
-  
-  // Check for anonymous queries
-  if (query.includes('{')) return 'query';
-  
-  return 'unknown';
-}
-
-// Transform GraphQL response to cluster data format
-function transformToClusterData(response) {
-  try {
-    let clusterData = null;
-    
-    // Handle array response
-    if (Array.isArray(response)) {
-      for (const item of response) {
-        if (item.data && item.data.prsn_deduplicationClusters) {
-          clusterData = item.data.prsn_deduplicationClusters;
-          break;
-        }
-      }
-    }
-    // Handle single response object
-    else if (response.data && response.data.prsn_deduplicationClusters) {
-      clusterData = response.data.prsn_deduplicationClusters;
-    }
-    
-    if (!clusterData || !clusterData.edges || !clusterData.edges.length) {
-      return null;
-    }
-    
-    // Get the first cluster
-    const cluster = clusterData.edges[0].node;
-    
-    if (!cluster || !cluster.edges || !cluster.members) {
-      return null;
-    }
-    
-    // Transform to the format expected by the visualizer
-    const nodes = cluster.members.map(member => ({
-      person_id: member.node.id,
-      name: member.node.name || 'No name'
-    }));
-    
-    const edges = cluster.edges.map(edge => ({
-      lower_person_id: edge.nodeA.id,
-      higher_person_id: edge.nodeB.id,
-      status: edge.status,
-      sub_status_type: edge.subStatuses && edge.subStatuses.length > 0 ? edge.subStatuses[0] : null,
-      notes: edge.vector ? `Scores: Name=${edge.vector.nameScore}, Email=${edge.vector.emailScore}, Phone=${edge.vector.phoneScore}` : null
-    }));
-    
-    return {
-      id: cluster.id,
-      nodes: nodes,
-      edges: edges
-    };
-  } catch (e) {
-    console.error('Error transforming GraphQL response to cluster data:', e);
-    return null;
-  }
+// Transform the clusters in a captured request, tagging each with the request as its source
+function getRequestClusters(req) {
+  const source = getRequestSource(req);
+  return (transformToClusterData(req.response) || []).map(cluster => ({ ...cluster, source }));
 }
 
 // Store a new request
@@ -140,17 +61,18 @@ function storeRequest(request) {
   
   // Check if this is cluster data
   if (isClusterData(request.response)) {
-    const clusterData = transformToClusterData(request.response);
-    if (clusterData) {
-      lastClusterData = clusterData;
-      console.log('Found cluster data:', clusterData);
+    const clusters = getRequestClusters(request);
+    if (clusters.length > 0) {
+      lastClusterData = clusters[0];
+      lastClusterCount = clusters.length;
+      console.log(`Found ${clusters.length} clusters:`, clusters);
       
-      // Notify content script about new cluster data
+      // Notify content script about new cluster data, unless the visualizer fetched it and shows it already
       chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-        if (tabs[0]) {
+        if (tabs[0] && !request.fetchedByVisualizer) {
           chrome.tabs.sendMessage(tabs[0].id, {
             action: 'newClusterData',
-            data: clusterData
+            data: clusters
           });
         }
       });
@@ -158,35 +80,50 @@ function storeRequest(request) {
   }
 }
 
-// Extract GraphQL operations from request body
-function extractGraphQLOperations(body) {
-  if (!body) return [];
-  
-  try {
-    // Handle batched queries (array of operations)
-    if (Array.isArray(body)) {
-      return body.map(operation => ({
-        operationName: operation.operationName || 'Unknown Operation',
-        query: operation.query || '',
-        variables: operation.variables || {},
-        extensions: operation.extensions || null
-      }));
+// Switch a tab's toolbar icon between the colored and the grayscale version, for whether cluster data was captured in it
+function setTabIconActive(tabId, active) {
+  const suffix = active ? '' : '_off';
+  chrome.browserAction.setIcon({
+    tabId,
+    path: {
+      16: `assets/icon16${suffix}.png`,
+      48: `assets/icon48${suffix}.png`,
+      128: `assets/icon128${suffix}.png`
     }
-    
-    // Handle single operation
-    if (body.query || body.operationName) {
-      return [{
-        operationName: body.operationName || 'Unknown Operation',
-        query: body.query || '',
-        variables: body.variables || {},
-        extensions: body.extensions || null
-      }];
+  }, () => {
+    if (chrome.runtime.lastError) {
+      // Ignore errors - the tab may have been closed
     }
-  } catch (e) {
-    console.error('Error extracting GraphQL operations:', e);
+  });
+}
+
+// Find the newest captured cluster that has the given person as a member, for person pages
+function findClusterByPersonId(personId) {
+  for (const req of requests) {
+    if (!isClusterData(req.response)) continue;
+    
+    const clusterData = getRequestClusters(req).find(cluster =>
+      cluster.nodes.some(node => node.person_id === personId));
+    if (clusterData) return clusterData;
   }
+  return null;
+}
+
+// Collect every distinct cluster in the captured requests, newest capture first, with the time it was captured
+function getCapturedClusters() {
+  const capturedById = new Map();
   
-  return [];
+  for (const req of requests) {
+    if (!isClusterData(req.response)) continue;
+    
+    getRequestClusters(req).forEach(cluster => {
+      if (!capturedById.has(cluster.id)) {
+        capturedById.set(cluster.id, { cluster, capturedAt: new Date(req.timestamp).toISOString() });
+      }
+    });
+  }
+  
+  return Array.from(capturedById.values());
 }
 
 // Set up message listeners for communication with content script and popup
@@ -198,38 +135,79 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ requests });
   } else if (message.action === 'getLastClusterData') {
     console.log('Returning last cluster data:', lastClusterData ? 'found' : 'not found');
-    sendResponse({ lastClusterData });
+    sendResponse({ lastClusterData, clusterCount: lastClusterCount });
   } else if (message.action === 'clearData') {
     // Clear all stored requests and cluster data
     console.log('Clearing all stored data');
     requests.length = 0;
     lastClusterData = null;
+    lastClusterCount = 0;
+    chrome.tabs.query({}, tabs => tabs.forEach(tab => setTabIconActive(tab.id, false)));
     sendResponse({ success: true });
   } else if (message.action === 'getClusterById') {
     const clusterId = message.clusterId;
     console.log(`Looking for cluster with ID: ${clusterId}`);
     
-    const clusterRequest = requests.find(req => {
-      if (isClusterData(req.response)) {
-        const data = transformToClusterData(req.response);
-        return data && data.id === clusterId;
-      }
-      return false;
-    });
+    // Search every cluster in every captured page, newest request first
+    let clusterData = null;
+    for (const req of requests) {
+      if (!isClusterData(req.response)) continue;
+      
+      const clusters = getRequestClusters(req);
+      clusterData = clusters.find(cluster => cluster.id === clusterId) || null;
+      if (clusterData) break;
+    }
     
-    if (clusterRequest) {
+    if (clusterData) {
       console.log(`Found cluster with ID: ${clusterId}`);
-      const clusterData = transformToClusterData(clusterRequest.response);
       sendResponse({ clusterData });
     } else {
       console.log(`No cluster found with ID: ${clusterId}`);
       sendResponse({ clusterData: null });
     }
+  } else if (message.action === 'getClusterByPersonId') {
+    console.log(`Looking for the cluster of person: ${message.personId}`);
+    sendResponse({ clusterData: findClusterByPersonId(message.personId) });
+  } else if (message.action === 'getClusterQuery') {
+    // The newest getPersonClusterDetails request, so the content script can repeat it for another cluster
+    const request = requests.find(req =>
+      req.operationName === 'getPersonClusterDetails' && (req.query || req.extensions)) || null;
+    
+    if (request) {
+      const { url, batched, headers, operationName, query, variables, extensions } = request;
+      sendResponse({ request: { url, batched, headers, operationName, query, variables, extensions } });
+    } else {
+      sendResponse({ request: null });
+    }
+  } else if (message.action === 'getAllClusters') {
+    const clusters = getCapturedClusters().map(entry => entry.cluster);
+    console.log(`Returning ${clusters.length} clusters`);
+    sendResponse({ clusters });
+  } else if (message.action === 'getClusterHistory') {
+    // A summary of every captured cluster for the popup
+    const history = getCapturedClusters().map(({ cluster, capturedAt }) => {
+      const statusCounts = {};
+      cluster.edges.forEach(edge => {
+        const status = edge.status || 'UNKNOWN';
+        statusCounts[status] = (statusCounts[status] || 0) + 1;
+      });
+      
+      return {
+        id: cluster.id,
+        memberCount: cluster.nodes.length,
+        edgeCount: cluster.edges.length,
+        statusCounts,
+        capturedAt
+      };
+    });
+    
+    console.log(`Returning history of ${history.length} clusters`);
+    sendResponse({ history });
   } else if (message.action === 'networkIntercepted') {
     // Process network request intercepted by our injected observer
     console.log('Network intercepted:', message.data.type);
     
-    const { url, method, requestBody, responseBody, responseText, status } = message.data;
+    const { url, method, requestHeaders, requestBody, responseBody, responseText, status, fetchedByVisualizer } = message.data;
     console.log(`Intercepted ${message.data.type}: ${method} ${url}`);
     
     try {
@@ -272,25 +250,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             query: operation.query || '',
             variables: operation.variables || {},
             extensions: operation.extensions || null,
+            batched: Array.isArray(parsedRequestBody),
             response: responseBody,
             responseStatus: status,
-            headers: {}
+            headers: requestHeaders || {},
+            fetchedByVisualizer: fetchedByVisualizer === true
           };
           
           storeRequest(request);
           
           // If this is a getPersonClusterDetails operation, notify all tabs
-          if (operation.operationName === 'getPersonClusterDetails' && isClusterData(responseBody)) {
+          // A cluster the visualizer fetched itself is already shown by the tab that asked for it
+          if (operation.operationName === 'getPersonClusterDetails' && !request.fetchedByVisualizer && isClusterData(responseBody)) {
             console.log('Found cluster data in getPersonClusterDetails response');
             
             // Notify all tabs about the new cluster data
             chrome.tabs.query({}, function(tabs) {
-              const clusterData = transformToClusterData(responseBody);
-              if (clusterData) {
+              const clusters = getRequestClusters(request);
+              if (clusters.length > 0) {
                 for (const tab of tabs) {
                   chrome.tabs.sendMessage(tab.id, {
                     action: 'newClusterData',
-                    data: clusterData
+                    data: clusters
                   }, response => {
                     if (chrome.runtime.lastError) {
                       // Ignore errors - tab might not have content script
@@ -316,11 +297,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             extensions: null,
             response: responseBody,
             responseStatus: status,
-            headers: {}
+            headers: requestHeaders || {}
           });
         }
       }
       
+      // Light up the toolbar icon of the tab the cluster data was captured in
+      if (sender.tab && isClusterData(responseBody)) {
+        setTabIconActive(sender.tab.id, true);
+      }
+      
       // Send the response to the content script for visualization
       if (sender.tab) {
         chrome.tabs.sendMessage(sender.tab.id, {
@@ -345,6 +331,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       console.error('Error processing intercepted network request:', e);
       sendResponse({ success: false, error: e.message });
     }
+  } else if (message.action === 'getImageDataUrl') {
+    // Content scripts can't read cross-origin images, so PNG exports fetch member artwork through the background page
+    fetch(message.url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.blob();
+      })
+      .then(blob => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      }))
+      .then(dataUrl => sendResponse({ dataUrl }))
+      .catch(error => {
+        console.log(`Could not load image ${message.url}:`, error.message);
+        sendResponse({ dataUrl: null });
+      });
   } else if (message.action === 'contentScriptLoaded') {
     // Content script has loaded
     console.log('Content script loaded in tab:', sender.tab ? sender.tab.id : 'unknown');
@@ -358,5 +362,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// A tab's icon goes back to grayscale when it navigates, until cluster data is captured again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    setTabIconActive(tabId, false);
+  }
+});
+
 // Initialize
 console.log('GraphQL Cluster Visualizer Extension background script loaded');
\ No newline at end of file
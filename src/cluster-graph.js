@@ -0,0 +1,117 @@
+// Cluster graph analysis for GraphQL Cluster Visualizer Extension
+// Finds the duplicate groups a merge would create and the edges that contradict them
+// Loaded before content-script.js, and by Node for the tests
+
+// Edge statuses that assert two members are different people, and so contradict a DUPLICATE path between them
+const separateStatuses = ['UNIQUE'];
+
+// Normalize an edge status for color lookup and filtering
+function getStatusKey(status) {
+  return status ? status.toUpperCase() : 'UNKNOWN';
+}
+
+// Find the groups of members connected by chains of DUPLICATE edges, which the merge will turn into one person
+// Returns groups of two or more person IDs, largest first
+function computeDuplicateGroups(nodes, edges) {
+  const parent = new Map(nodes.map(node => [node.person_id, node.person_id]));
+  
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      // Path halving keeps the trees shallow
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  
+  edges.forEach(edge => {
+    if (getStatusKey(edge.status) !== 'DUPLICATE') return;
+    if (!parent.has(edge.lower_person_id) || !parent.has(edge.higher_person_id)) return;
+    
+    const rootA = find(edge.lower_person_id);
+    const rootB = find(edge.higher_person_id);
+    if (rootA !== rootB) {
+      parent.set(rootB, rootA);
+    }
+  });
+  
+  const groups = new Map();
+  nodes.forEach(node => {
+    const root = find(node.person_id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(node.person_id);
+  });
+  
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .sort((a, b) => b.length - a.length);
+}
+
+// Find every edge that marks two members as separate people although a chain of DUPLICATE edges joins them
+// Each conflict holds the contradicting edge and the shortest DUPLICATE path between its members, as edge indices
+function findTransitivityConflicts(nodes, edges) {
+  const groups = computeDuplicateGroups(nodes, edges);
+  const groupById = new Map();
+  groups.forEach((group, index) => group.forEach(personId => groupById.set(personId, index)));
+  
+  // Adjacency over DUPLICATE edges, remembering which edge links each pair
+  const duplicateNeighbors = new Map();
+  edges.forEach((edge, edgeIndex) => {
+    if (getStatusKey(edge.status) !== 'DUPLICATE') return;
+    [[edge.lower_person_id, edge.higher_person_id], [edge.higher_person_id, edge.lower_person_id]].forEach(([from, to]) => {
+      if (!duplicateNeighbors.has(from)) duplicateNeighbors.set(from, []);
+      duplicateNeighbors.get(from).push({ personId: to, edgeIndex });
+    });
+  });
+  
+  const findDuplicatePath = (start, end) => {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === end) break;
+      
+      (duplicateNeighbors.get(current) || []).forEach(({ personId, edgeIndex }) => {
+        if (previous.has(personId)) return;
+        previous.set(personId, { personId: current, edgeIndex });
+        queue.push(personId);
+      });
+    }
+    
+    const path = [end];
+    const edgeIndices = [];
+    for (let step = previous.get(end); step; step = previous.get(step.personId)) {
+      path.unshift(step.personId);
+      edgeIndices.unshift(step.edgeIndex);
+    }
+    return { path, edgeIndices };
+  };
+  
+  const conflicts = [];
+  edges.forEach((edge, edgeIndex) => {
+    if (!separateStatuses.includes(getStatusKey(edge.status))) return;
+    
+    const groupA = groupById.get(edge.lower_person_id);
+    if (groupA === undefined || groupA !== groupById.get(edge.higher_person_id)) return;
+    
+    const { path, edgeIndices } = findDuplicatePath(edge.lower_person_id, edge.higher_person_id);
+    conflicts.push({
+      edgeIndex,
+      path,
+      duplicateEdgeIndices: edgeIndices
+    });
+  });
+  
+  return conflicts;
+}
+
+// Let Node load the analysis for the tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    separateStatuses,
+    getStatusKey,
+    computeDuplicateGroups,
+    findTransitivityConflicts
+  };
+}
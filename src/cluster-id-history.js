@@ -0,0 +1,38 @@
+// Cluster ID history for GraphQL Cluster Visualizer Extension
+// Remembers looked-up cluster IDs for the autocomplete of the popup's and the visualizer's cluster ID boxes
+// Loaded before popup.js and content-script.js
+
+// Number of looked-up cluster IDs kept for autocomplete
+const maxClusterIdHistory = 20;
+
+// Remember a looked-up cluster ID, most recent first, then call back once it is stored
+function rememberClusterId(clusterId, callback) {
+  chrome.storage.local.get(['clusterIdHistory'], result => {
+    const history = (result.clusterIdHistory || []).filter(id => id !== clusterId);
+    history.unshift(clusterId);
+    chrome.storage.local.set({ clusterIdHistory: history.slice(0, maxClusterIdHistory) }, () => {
+      if (callback) callback();
+    });
+  });
+}
+
+// Fill a datalist with recently looked-up IDs, then the captured clusters from the background script's history
+function fillClusterIdOptions(datalist, capturedHistory) {
+  chrome.storage.local.get(['clusterIdHistory'], result => {
+    const options = new Map();
+    (result.clusterIdHistory || []).forEach(id => options.set(id, 'Looked up before'));
+    (capturedHistory || []).forEach(entry => {
+      if (!options.has(entry.id)) {
+        options.set(entry.id, `Captured, ${entry.memberCount} members`);
+      }
+    });
+    
+    datalist.innerHTML = '';
+    options.forEach((label, id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.label = label;
+      datalist.appendChild(option);
+    });
+  });
+}
@@ -0,0 +1,321 @@
+// Cluster parsing for GraphQL Cluster Visualizer Extension
+// Finds deduplication clusters in GraphQL responses of every known shape and transforms them to the visualizer format
+// Loaded before background.js and content-script.js, and by Node: node src/cluster-parser.js response.json ...
+
+// Marks JSON files exported by the visualizer, so they can be recognised when imported
+const clusterExportFormat = 'graphql-cluster-visualizer';
+
+// Extract operation type from query
+function getOperationType(query) {
+  if (!query) return 'unknown';
+  
+  // Simple regex to determine operation type
+  if (query.trim().startsWith('query')) return 'query';
+  if (query.trim().startsWith('mutation')) return 'mutation';
+  if (query.trim().startsWith('subscription')) return 'subscription';
+  
+  // Check for anonymous queries
+  if (query.includes('{')) return 'query';
+  
+  return 'unknown';
+}
+
+// Extract GraphQL operations from a request body: a JSON string, a single operation or a batch
+function extractGraphQLOperations(body) {
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!body || typeof body !== 'object') return [];
+  
+  const operations = Array.isArray(body) ? body : [body];
+  return operations
+    .filter(operation => operation && (operation.query || operation.operationName || operation.extensions))
+    .map(operation => ({
+      operationName: operation.operationName || 'Unknown Operation',
+      query: operation.query || '',
+      variables: operation.variables || {},
+      extensions: operation.extensions || null
+    }));
+}
+
+// Collect the persons at the ends of a cluster's edges, which can carry fields the members don't
+function getEdgePersons(cluster) {
+  const persons = new Map();
+  cluster.edges.forEach(edge => {
+    if (!edge) return;
+    [edge.nodeA, edge.nodeB].forEach(person => {
+      if (person && person.id) {
+        persons.set(person.id, { ...persons.get(person.id), ...person });
+      }
+    });
+  });
+  return persons;
+}
+
+// Get the image URL of a person's displayArtwork, which is empty when they have none
+function getArtworkUrl(artwork) {
+  if (typeof artwork === 'string') return artwork || null;
+  if (artwork && typeof artwork.url === 'string') return artwork.url || null;
+  return null;
+}
+
+// Extract every numeric component of a PRSNDeduplicationVector, including unknown score fields
+function extractVectorScores(vector) {
+  const scores = {};
+  if (!vector || typeof vector !== 'object') return scores;
+  
+  for (const [key, value] of Object.entries(vector)) {
+    // Skip GraphQL metadata such as __typename, and the sum which is kept separately
+    if (key.startsWith('__') || key === 'vectorSum') continue;
+    
+    const score = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof score === 'number' && !Number.isNaN(score)) {
+      scores[key] = score;
+    }
+  }
+  
+  return scores;
+}
+
+// Get the vector sum the backend sent for an edge, or null when the response doesn't include it
+function getVectorSum(edge) {
+  if (typeof edge.vectorSum === 'number') return edge.vectorSum;
+  if (edge.vector && typeof edge.vector.vectorSum === 'number') return edge.vector.vectorSum;
+  return null;
+}
+
+// Turn a vector field name such as nameScore or ServiceScore into a display label
+function formatScoreLabel(key) {
+  const label = key.replace(/Score$/, '');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// Format vector scores as a human readable note
+function formatScoreNotes(scores) {
+  const entries = Object.entries(scores);
+  if (entries.length === 0) return null;
+  
+  return 'Scores: ' + entries.map(([key, score]) => `${formatScoreLabel(key)}=${score}`).join(', ');
+}
+
+// Check whether a cluster object has the members and edges the transform needs
+function isTransformableCluster(cluster) {
+  return Boolean(cluster && cluster.id && Array.isArray(cluster.members) && Array.isArray(cluster.edges));
+}
+
+// Transform a single PRSNDeduplicationCluster node to the visualizer format
+function transformCluster(cluster) {
+  if (!isTransformableCluster(cluster)) {
+    return null;
+  }
+  
+  const edgePersons = getEdgePersons(cluster);
+  // Members without a person, and edges missing either end, are skipped rather than failing the cluster
+  const nodes = cluster.members.filter(member => member && member.node && member.node.id).map(member => {
+    const edgePerson = edgePersons.get(member.node.id) || {};
+    const active = typeof member.node.active === 'boolean' ? member.node.active : edgePerson.active;
+    
+    return {
+      person_id: member.node.id,
+      name: member.node.name || 'No name',
+      // Members count as active unless the data says otherwise
+      active: active !== false,
+      display_artwork: getArtworkUrl(member.node.displayArtwork) || getArtworkUrl(edgePerson.displayArtwork),
+      // The raw member, with every field the query returned
+      member
+    };
+  });
+  
+  const edges = cluster.edges.filter(edge => edge && edge.nodeA && edge.nodeA.id && edge.nodeB && edge.nodeB.id).map(edge => {
+    const scores = extractVectorScores(edge.vector);
+    
+    return {
+      edge_id: edge.id || null,
+      lower_person_id: edge.nodeA.id,
+      higher_person_id: edge.nodeB.id,
+      status: edge.status,
+      sub_status_type: edge.subStatuses && edge.subStatuses.length > 0 ? edge.subStatuses[0] : null,
+      sub_statuses: edge.subStatuses || [],
+      // Every vector component as a number, keyed by its GraphQL field name
+      scores,
+      vector_sum: getVectorSum(edge),
+      notes: formatScoreNotes(scores)
+    };
+  });
+  
+  return {
+    id: cluster.id,
+    nodes: nodes,
+    edges: edges
+  };
+}
+
+// Transform a cluster, dropping it rather than the whole response when its data is malformed
+function transformClusterSafely(cluster) {
+  try {
+    return transformCluster(cluster);
+  } catch (e) {
+    console.error(`Error transforming cluster ${cluster && cluster.id}:`, e);
+    return null;
+  }
+}
+
+// Check whether a value is cluster JSON exported by the visualizer
+function isExportedClusterJson(content) {
+  return Boolean(content && content.format === clusterExportFormat && Array.isArray(content.clusters));
+}
+
+// Check whether an exported cluster has the nodes and edges needed to rebuild it
+function isRestorableCluster(cluster) {
+  return Boolean(cluster && cluster.id && Array.isArray(cluster.nodes) && Array.isArray(cluster.edges));
+}
+
+// Rebuild a cluster from exported cluster JSON, filling in the fields the export leaves out
+function restoreExportedCluster(cluster) {
+  return {
+    id: cluster.id,
+    source: cluster.source || null,
+    nodes: cluster.nodes.map(node => ({
+      person_id: node.person_id,
+      name: node.name || 'No name',
+      active: node.active !== false,
+      display_artwork: node.display_artwork || null,
+      // Exports don't carry the raw member
+      member: null
+    })),
+    edges: cluster.edges.map(edge => {
+      const scores = edge.scores || {};
+      const subStatuses = edge.sub_statuses || [];
+      
+      return {
+        edge_id: edge.edge_id || null,
+        lower_person_id: edge.lower_person_id,
+        higher_person_id: edge.higher_person_id,
+        status: edge.status,
+        sub_status_type: subStatuses.length > 0 ? subStatuses[0] : null,
+        sub_statuses: subStatuses,
+        scores,
+        vector_sum: typeof edge.vector_sum === 'number' ? edge.vector_sum : null,
+        notes: formatScoreNotes(scores)
+      };
+    })
+  };
+}
+
+// Get the GraphQL results in a response: a batch, a single result, a JSON string or a captureResponseBody message
+function getGraphQLResults(response) {
+  if (typeof response === 'string') {
+    try {
+      response = JSON.parse(response);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!response || typeof response !== 'object') return [];
+  
+  if (Array.isArray(response)) {
+    return response.filter(result => result && typeof result === 'object');
+  }
+  
+  // captureResponseBody messages keep the response next to the request; older ones nest it under data
+  if (response.action === 'captureResponseBody') {
+    return getGraphQLResults(response.responseBody !== undefined
+      ? response.responseBody
+      : response.data && response.data.responseBody);
+  }
+  
+  return [response];
+}
+
+// Find the raw cluster objects in a response, whichever query returned them
+function findClusterNodes(response) {
+  const clusters = [];
+  
+  getGraphQLResults(response).forEach(result => {
+    const data = result.data;
+    if (!data || typeof data !== 'object') return;
+    
+    // Pages of clusters, from the current and the older connection name
+    [data.prsn_deduplicationClusters, data.deduplicationClusters].forEach(connection => {
+      if (connection && Array.isArray(connection.edges)) {
+        connection.edges.forEach(clusterEdge => {
+          if (clusterEdge && clusterEdge.node) {
+            clusters.push(clusterEdge.node);
+          }
+        });
+      }
+    });
+    
+    // Person-centric queries, with the cluster the person belongs to
+    if (data.person && data.person.deduplicationCluster) {
+      clusters.push(data.person.deduplicationCluster);
+    }
+  });
+  
+  return clusters;
+}
+
+// Check if a GraphQL response contains cluster data
+function isClusterData(response) {
+  try {
+    return isExportedClusterJson(response) || findClusterNodes(response).some(isTransformableCluster);
+  } catch (e) {
+    console.error('Error checking for cluster data:', e);
+    return false;
+  }
+}
+
+// Transform a response of any known shape to cluster data format
+// Returns an array with every cluster in it (or only the requested one), or null
+function transformToClusterData(response, requestedClusterId = null) {
+  try {
+    const clusters = isExportedClusterJson(response)
+      ? response.clusters.filter(isRestorableCluster).map(restoreExportedCluster)
+      : findClusterNodes(response).map(transformClusterSafely).filter(cluster => cluster !== null);
+    
+    // A batch can return the same cluster more than once; keep the first copy
+    const clustersById = new Map();
+    clusters.forEach(cluster => {
+      if (!clustersById.has(cluster.id) && (!requestedClusterId || cluster.id === requestedClusterId)) {
+        clustersById.set(cluster.id, cluster);
+      }
+    });
+    
+    return clustersById.size > 0 ? Array.from(clustersById.values()) : null;
+  } catch (e) {
+    console.error('Error transforming GraphQL response to cluster data:', e);
+    return null;
+  }
+}
+
+// Let Node load the parser, and summarise the clusters in saved responses when run directly
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    clusterExportFormat,
+    getOperationType,
+    extractGraphQLOperations,
+    extractVectorScores,
+    formatScoreLabel,
+    transformCluster,
+    restoreExportedCluster,
+    findClusterNodes,
+    isClusterData,
+    transformToClusterData
+  };
+  
+  if (require.main === module) {
+    const fs = require('fs');
+    
+    process.argv.slice(2).forEach(file => {
+      const clusters = transformToClusterData(JSON.parse(fs.readFileSync(file, 'utf8'))) || [];
+      console.log(`${file}: ${clusters.length} cluster${clusters.length === 1 ? '' : 's'}`);
+      clusters.forEach(cluster => {
+        console.log(`  ${cluster.id}: ${cluster.nodes.length} members, ${cluster.edges.length} edges`);
+      });
+    });
+  }
+}
@@ -1,5 +1,6 @@
 // Content script for GraphQL Cluster Visualizer Extension
 // Intercepts GraphQL requests on the page and displays cluster visualization
+// Responses are parsed by cluster-parser.js, which is loaded first
 
 console.log('[GraphQL Cluster Visualizer] Content script loaded at', new Date().toISOString());
 
@@ -21,8 +22,50 @@ const config = {
     'PENDING': '#FFA500',   // Orange
     'DUPLICATE': '#FF0000', // Red
     'UNIQUE': '#008000',    // Green
-    'INVALID': '#800080'    // Purple
-  }
+    'INVALID': '#800080',   // Purple
+    'UNKNOWN': '#808080'    // Grey, for edges without a status
+  },
+  // Colors handed out to statuses the extension doesn't know about, chosen to stand apart from the ones above
+  unrecognizedStatusPalette: [
+    '#1f77b4', // Blue
+    '#17becf', // Cyan
+    '#8c564b', // Brown
+    '#e377c2', // Pink
+    '#bcbd22', // Olive
+    '#000080', // Navy
+    '#008b8b', // Teal
+    '#d4a017'  // Gold
+  ],
+  // Node fills for groups of members that DUPLICATE edges will merge into one person
+  duplicateGroupPalette: [
+    '#ffd8b1', // Apricot
+    '#c5e1a5', // Mint
+    '#f8bbd0', // Rose
+    '#fff59d', // Lemon
+    '#b2ebf2', // Aqua
+    '#d1c4e9', // Lilac
+    '#ffccbc', // Peach
+    '#dcedc8'  // Pale green
+  ],
+  // Highlight drawn behind edges involved in a transitivity conflict
+  conflictHighlightColor: '#ffcc00',
+  // Ring drawn around members matching the search
+  searchHighlightColor: '#ff6d00',
+  // Node fill for members that are not part of a duplicate group
+  defaultNodeColor: '#e6f3ff',
+  // Inactive members get a faded fill and a grey dashed outline
+  inactiveNodeOpacity: 0.35,
+  inactiveNodeStroke: '#888888',
+  // Path of a person's page in Data Mechanic, followed by the person ID
+  personPagePath: '/talent/person/',
+  // How long to wait for a cluster fetched on demand, in milliseconds
+  clusterFetchTimeout: 15000,
+  // Age after which captured cluster data is flagged as possibly out of date, in milliseconds
+  staleSourceAge: 15 * 60 * 1000,
+  // Width of the side panel next to the graph
+  sidePanelWidth: 220,
+  // Smallest size the visualizer panel can be resized to
+  minPanelSize: { width: 480, height: 360 }
 };
 
 // Debug logging function
@@ -51,10 +94,49 @@ window.lastGraphQLResponse = null;
 window.allGraphQLResponses = [];
 window.rawResponses = []; // Store all raw responses for debugging
 
+// The extension's viewer page loads this script too, for its transform and rendering code
+const isViewerPage = window.location.protocol === 'chrome-extension:';
+
 // Store for cluster data
 let lastClusterData = null;
 let visualizerCreated = false;
 
+// Shadow root holding the visualizer, so page styles and ours don't leak into each other
+let visualizerRoot = null;
+
+// Store for the clusters loaded into the visualizer
+const visualizerState = {
+  // Clusters available in the cluster switcher
+  clusters: [],
+  // Index of the selected cluster, or -1 to lay out every cluster as a separate component
+  selectedIndex: 0,
+  // Whether edges are labelled with their vector sum
+  showEdgeLabels: false,
+  // Score that drives edge thickness, opacity and distance ('vectorSum' or a vector field), or '' for off
+  edgeWeightScore: '',
+  // 'force' for the D3 force layout, or the name of a Graphviz engine
+  layout: 'force',
+  // 'graph' or 'matrix'
+  view: 'graph',
+  // Order of the matrix rows and columns: 'group' or 'name'
+  matrixOrder: 'group',
+  // Size of the graph and matrix area, following the panel size
+  graphSize: { width: 600, height: 500 },
+  // Nodes and links shown in the matrix view
+  matrix: null,
+  // Index in the cluster's edges of the edge selected from the matrix, or null
+  selectedEdgeIndex: null,
+  // Edge statuses and sub-statuses toggled off in the legend
+  hiddenStatuses: new Set(),
+  hiddenSubStatuses: new Set(),
+  // Person ID of the member shown in the details panel, or null
+  selectedMemberId: null,
+  // Member search: the query, the matching person IDs best first, and the one focused with Enter
+  search: { query: '', matches: [], index: -1 },
+  // D3 selections and simulation of the graph currently rendered
+  graph: null
+};
+
 // Helper function to check if a URL is a GraphQL endpoint
 function isGraphQLRequest(url, body) {
   // Check URL patterns
@@ -91,6 +173,9 @@ function isGraphQLRequest(url, body) {
 
 // Direct script injection for more reliable interception
 (function injectInterceptors() {
+  // The viewer page has no requests to intercept, and its CSP blocks inline scripts
+  if (isViewerPage) return;
+  
   debugLog('Injecting direct interceptors');
   
   const script = document.createElement('script');
@@ -98,6 +183,15 @@ function isGraphQLRequest(url, body) {
     // Store original fetch
     const originalFetch = window.fetch;
     
+    // Collect a fetch request's headers, so the visualizer can repeat the request with the app's auth and client headers
+    function getFetchRequestHeaders(resource, options) {
+      const headers = {};
+      const addHeaders = source => new Headers(source || {}).forEach((value, name) => { headers[name] = value; });
+      if (resource instanceof Request) addHeaders(resource.headers);
+      addHeaders(options.headers);
+      return headers;
+    }
+    
     // Override fetch
     window.fetch = async function(resource, options = {}) {
       const url = resource instanceof Request ? resource.url : resource;
@@ -135,6 +229,9 @@ function isGraphQLRequest(url, body) {
               type: 'fetch-response',
               url: url,
               method: options.method || 'GET',
+              requestHeaders: getFetchRequestHeaders(resource, options),
+              // Requests the visualizer sends itself are marked, so they aren't announced to every tab as new captures
+              fetchedByVisualizer: options.graphqlClusterFetch === true,
               requestBody: options.body || null,
               responseBody: responseData,
               responseText: responseText,
@@ -156,12 +253,24 @@ function isGraphQLRequest(url, body) {
     const originalXHROpen = XMLHttpRequest.prototype.open;
     const originalXHRSend = XMLHttpRequest.prototype.send;
     
+    const originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    
     // Override XMLHttpRequest.open
     XMLHttpRequest.prototype.open = function(method, url) {
-      this._graphqlInterceptor = { method, url };
+      this._graphqlInterceptor = { method, url, headers: {} };
       return originalXHROpen.apply(this, arguments);
     };
     
+    // Override XMLHttpRequest.setRequestHeader, to keep the headers the request was sent with
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+      if (this._graphqlInterceptor) {
+        const headers = this._graphqlInterceptor.headers;
+        const key = String(name).toLowerCase();
+        headers[key] = headers[key] ? headers[key] + ', ' + value : String(value);
+      }
+      return originalXHRSetRequestHeader.apply(this, arguments);
+    };
+    
     // Override XMLHttpRequest.send
     XMLHttpRequest.prototype.send = function(body) {
       const xhr = this;
@@ -200,6 +309,7 @@ function isGraphQLRequest(url, body) {
               type: 'xhr-response',
               url: url,
               method: method,
+              requestHeaders: xhr._graphqlInterceptor.headers,
               requestBody: xhr._graphqlInterceptor.body,
               responseBody: responseData,
               responseText: responseText,
@@ -254,6 +364,7 @@ function isGraphQLRequest(url, body) {
       type: event.data.type,
       url: event.data.url,
       method: event.data.method,
+      requestHeaders: event.data.requestHeaders || {},
       requestBody: event.data.requestBody,
       responseText: event.data.responseText,
       responseData: event.data.responseBody,
@@ -274,339 +385,375 @@ function isGraphQLRequest(url, body) {
   });
 })();
 
-// Check if a GraphQL response contains cluster data
-function isClusterData(response) {
-  if (!response) return false;
-  
-  try {
-    // Check if it's an array response
-    if (Array.isArray(response)) {
-      for (const item of response) {
-        if (item.data &&
-            (item.data.prsn_deduplicationClusters ||
-             item.data.deduplicationClusters)) {
-          return true;
-        }
+// The viewer page makes no GraphQL requests of its own to intercept
+if (!isViewerPage) {
+  // Intercept Fetch API
+  const originalFetch = window.fetch;
+  window.fetch = async function(resource, options = {}) {
+    const url = resource instanceof Request ? resource.url : resource;
+    
+    // Get the request body
+    let body;
+    if (options.body) {
+      body = options.body;
+    } else if (resource instanceof Request) {
+      try {
+        const clonedRequest = resource.clone();
+        body = await clonedRequest.text();
+      } catch (e) {
+        console.error('Error cloning request:', e);
       }
     }
-    // Check if it's a single response object
-    else if (response.data &&
-            (response.data.prsn_deduplicationClusters ||
-             response.data.deduplicationClusters)) {
-      return true;
-    }
     
-    // Check if it's a captureResponseBody message with getPersonClusterDetails
-    if (response.action === 'captureResponseBody' &&
-        response.requestBody &&
-        Array.isArray(response.requestBody) &&
-        response.requestBody.length > 0) {
-      
-      for (const item of response.requestBody) {
-        if (item.operationName === 'getPersonClusterDetails') {
-          debugLog('Found getPersonClusterDetails operation:', item);
-          return true;
-        }
-      }
+    // Check if this is a GraphQL URL based on the URL pattern
+    const isGraphQLUrl = config.graphqlPatterns.some(pattern => pattern.test(url));
+    
+    // Log all requests to GraphQL endpoints for debugging
+    if (isGraphQLUrl) {
+      debugLog(`Intercepted fetch request to potential GraphQL URL: ${url}`);
+      debugLog(`Request body: ${body ? (body.length > 100 ? body.substring(0, 100) + '...' : body) : 'null'}`);
     }
-  } catch (e) {
-    console.error('Error checking for cluster data:', e);
-  }
-  
-  return false;
-}
-
-// Intercept Fetch API
-const originalFetch = window.fetch;
-window.fetch = async function(resource, options = {}) {
-  const url = resource instanceof Request ? resource.url : resource;
-  
-  // Get the request body
-  let body;
-  if (options.body) {
-    body = options.body;
-  } else if (resource instanceof Request) {
-    try {
-      const clonedRequest = resource.clone();
-      body = await clonedRequest.text();
-    } catch (e) {
-      console.error('Error cloning request:', e);
+    
+    // Only process if it might be a GraphQL request
+    if (!isGraphQLRequest(url, body)) {
+      return originalFetch.apply(this, arguments);
     }
-  }
-  
-  // Check if this is a GraphQL URL based on the URL pattern
-  const isGraphQLUrl = config.graphqlPatterns.some(pattern => pattern.test(url));
-  
-  // Log all requests to GraphQL endpoints for debugging
-  if (isGraphQLUrl) {
-    debugLog(`Intercepted fetch request to potential GraphQL URL: ${url}`);
-    debugLog(`Request body: ${body ? (body.length > 100 ? body.substring(0, 100) + '...' : body) : 'null'}`);
-  }
-  
-  // Only process if it might be a GraphQL request
-  if (!isGraphQLRequest(url, body)) {
-    return originalFetch.apply(this, arguments);
-  }
-  
-  debugLog(`Processing GraphQL fetch request to: ${url}`);
-  
-  // Execute the original fetch
-  try {
-    const response = await originalFetch.apply(this, arguments);
     
-    // Clone the response to avoid consuming the body
-    const responseClone = response.clone();
+    debugLog(`Processing GraphQL fetch request to: ${url}`);
     
-    // Process the request asynchronously
-    responseClone.text().then(responseText => {
-      try {
-        debugLog(`Received fetch response from ${url}, length: ${responseText.length}`);
-        
-        let responseData;
+    // Execute the original fetch
+    try {
+      const response = await originalFetch.apply(this, arguments);
+      
+      // Clone the response to avoid consuming the body
+      const responseClone = response.clone();
+      
+      // Process the request asynchronously
+      responseClone.text().then(responseText => {
         try {
-          responseData = JSON.parse(responseText);
-        } catch (e) {
-          debugLog(`Error parsing response as JSON: ${e.message}`);
-          responseData = responseText;
-        }
-        
-        // Store in response map with the full URL as key
-        responseCapture.responseMap.set(url, {
-          url,
-          method: options.method || 'GET',
-          requestBody: body,
-          responseBody: responseData,
-          responseText,
-          status: response.status,
-          headers: Object.fromEntries(response.headers.entries()),
-          timestamp: new Date().toISOString()
-        });
-        
-        debugLog(`Stored response in responseCapture.responseMap for URL: ${url}`);
-        debugLog(`responseCapture.responseMap size: ${responseCapture.responseMap.size}`);
-        
-        // Store all GraphQL responses in the window object
-        debugLog('Storing GraphQL response in window.allGraphQLResponses:', responseData);
-        window.allGraphQLResponses.push(responseData);
-        
-        // Store raw response for debugging
-        window.rawResponses.push({
-          type: 'fetch',
-          url,
-          method: options.method || 'GET',
-          requestBody: body,
-          responseText,
-          responseData,
-          timestamp: new Date().toISOString()
-        });
-        
-        // Store the response directly in the window object if it contains cluster data
-        if (isClusterData(responseData)) {
-          debugLog('Found cluster data in fetch response:', responseData);
-          window.lastGraphQLResponse = responseData;
-        }
-        
-        // Add to requests array
-        responseCapture.requests.unshift({
-          timestamp: new Date(),
-          url,
-          method: options.method || 'GET',
-          requestBody: body,
-          responseBody: responseData,
-          status: response.status,
-          headers: Object.fromEntries(response.headers.entries())
-        });
-        
-        // Send to background script
-        chrome.runtime.sendMessage({
-          action: 'processGraphQLRequest',
-          data: {
+          debugLog(`Received fetch response from ${url}, length: ${responseText.length}`);
+          
+          let responseData;
+          try {
+            responseData = JSON.parse(responseText);
+          } catch (e) {
+            debugLog(`Error parsing response as JSON: ${e.message}`);
+            responseData = responseText;
+          }
+          
+          // Store in response map with the full URL as key
+          responseCapture.responseMap.set(url, {
             url,
             method: options.method || 'GET',
             requestBody: body,
             responseBody: responseData,
+            responseText,
             status: response.status,
             headers: Object.fromEntries(response.headers.entries()),
             timestamp: new Date().toISOString()
+          });
+          
+          debugLog(`Stored response in responseCapture.responseMap for URL: ${url}`);
+          debugLog(`responseCapture.responseMap size: ${responseCapture.responseMap.size}`);
+          
+          // Store all GraphQL responses in the window object
+          debugLog('Storing GraphQL response in window.allGraphQLResponses:', responseData);
+          window.allGraphQLResponses.push(responseData);
+          
+          // Store raw response for debugging
+          window.rawResponses.push({
+            type: 'fetch',
+            url,
+            method: options.method || 'GET',
+            requestBody: body,
+            responseText,
+            responseData,
+            timestamp: new Date().toISOString()
+          });
+          
+          // Store the response directly in the window object if it contains cluster data
+          if (isClusterData(responseData)) {
+            debugLog('Found cluster data in fetch response:', responseData);
+            window.lastGraphQLResponse = responseData;
           }
-        });
-      } catch (e) {
-        console.error('Error processing GraphQL fetch request:', e);
-      }
-    }).catch(error => {
-      console.error('Error reading response text:', error);
-    });
-    
-    return response;
-  } catch (error) {
-    console.error('Error in fetch request:', error);
-    throw error;
-  }
-};
-
-// Intercept XMLHttpRequest
-const originalXHROpen = XMLHttpRequest.prototype.open;
-const originalXHRSend = XMLHttpRequest.prototype.send;
-
-XMLHttpRequest.prototype.open = function(method, url) {
-  this._graphqlInterceptor = { method, url };
-  debugLog(`XHR open: ${method} ${url}`);
-  return originalXHROpen.apply(this, arguments);
-};
-
-XMLHttpRequest.prototype.send = function(body) {
-  const xhr = this;
-  const { method, url } = xhr._graphqlInterceptor || {};
-  
-  // Check if this is a GraphQL URL based on the URL pattern
-  const isGraphQLUrl = url && config.graphqlPatterns.some(pattern => pattern.test(url));
-  
-  // Log all requests to GraphQL endpoints for debugging
-  if (isGraphQLUrl) {
-    debugLog(`Intercepted XHR request to potential GraphQL URL: ${url}`);
-    debugLog(`XHR request body: ${body ? (body.length > 100 ? body.substring(0, 100) + '...' : body) : 'null'}`);
-  }
-  
-  // Only process if it might be a GraphQL request
-  if (!url || !isGraphQLRequest(url, body)) {
-    return originalXHRSend.apply(this, arguments);
-  }
+          
+          // Add to requests array
+          responseCapture.requests.unshift({
+            timestamp: new Date(),
+            url,
+            method: options.method || 'GET',
+            requestBody: body,
+            responseBody: responseData,
+            status: response.status,
+            headers: Object.fromEntries(response.headers.entries())
+          });
+          
+          // Send to background script
+          chrome.runtime.sendMessage({
+            action: 'processGraphQLRequest',
+            data: {
+              url,
+              method: options.method || 'GET',
+              requestBody: body,
+              responseBody: responseData,
+              status: response.status,
+              headers: Object.fromEntries(response.headers.entries()),
+              timestamp: new Date().toISOString()
+            }
+          });
+        } catch (e) {
+          console.error('Error processing GraphQL fetch request:', e);
+        }
+      }).catch(error => {
+        console.error('Error reading response text:', error);
+      });
+      
+      return response;
+    } catch (error) {
+      console.error('Error in fetch request:', error);
+      throw error;
+    }
+  };
   
-  debugLog(`Processing GraphQL XHR request to: ${url}`);
+  // Intercept XMLHttpRequest
+  const originalXHROpen = XMLHttpRequest.prototype.open;
+  const originalXHRSend = XMLHttpRequest.prototype.send;
   
-  // Store the request body
-  xhr._graphqlInterceptor.body = body;
+  XMLHttpRequest.prototype.open = function(method, url) {
+    this._graphqlInterceptor = { method, url };
+    debugLog(`XHR open: ${method} ${url}`);
+    return originalXHROpen.apply(this, arguments);
+  };
   
-  // Add response handler
-  const originalOnReadyStateChange = xhr.onreadystatechange;
-  xhr.onreadystatechange = function() {
-    if (xhr.readyState === 4) {
-      try {
-        const responseText = xhr.responseText;
-        debugLog(`Received XHR response from ${url}, length: ${responseText.length}`);
-        
-        let responseData;
+  XMLHttpRequest.prototype.send = function(body) {
+    const xhr = this;
+    const { method, url } = xhr._graphqlInterceptor || {};
+    
+    // Check if this is a GraphQL URL based on the URL pattern
+    const isGraphQLUrl = url && config.graphqlPatterns.some(pattern => pattern.test(url));
+    
+    // Log all requests to GraphQL endpoints for debugging
+    if (isGraphQLUrl) {
+      debugLog(`Intercepted XHR request to potential GraphQL URL: ${url}`);
+      debugLog(`XHR request body: ${body ? (body.length > 100 ? body.substring(0, 100) + '...' : body) : 'null'}`);
+    }
+    
+    // Only process if it might be a GraphQL request
+    if (!url || !isGraphQLRequest(url, body)) {
+      return originalXHRSend.apply(this, arguments);
+    }
+    
+    debugLog(`Processing GraphQL XHR request to: ${url}`);
+    
+    // Store the request body
+    xhr._graphqlInterceptor.body = body;
+    
+    // Add response handler
+    const originalOnReadyStateChange = xhr.onreadystatechange;
+    xhr.onreadystatechange = function() {
+      if (xhr.readyState === 4) {
         try {
-          responseData = JSON.parse(responseText);
-        } catch (e) {
-          debugLog(`Error parsing XHR response as JSON: ${e.message}`);
-          responseData = responseText;
-        }
-        
-        // Parse headers
-        const headers = xhr.getAllResponseHeaders().split('\r\n').reduce((acc, line) => {
-          const parts = line.split(': ');
-          if (parts[0] && parts[1]) {
-            acc[parts[0]] = parts[1];
+          const responseText = xhr.responseText;
+          debugLog(`Received XHR response from ${url}, length: ${responseText.length}`);
+          
+          let responseData;
+          try {
+            responseData = JSON.parse(responseText);
+          } catch (e) {
+            debugLog(`Error parsing XHR response as JSON: ${e.message}`);
+            responseData = responseText;
           }
-          return acc;
-        }, {});
-        
-        // Store in response map with the full URL as key
-        responseCapture.responseMap.set(url, {
-          url,
-          method,
-          requestBody: xhr._graphqlInterceptor.body,
-          responseBody: responseData,
-          responseText,
-          status: xhr.status,
-          headers,
-          timestamp: new Date().toISOString()
-        });
-        
-        debugLog(`Stored XHR response in responseCapture.responseMap for URL: ${url}`);
-        debugLog(`responseCapture.responseMap size: ${responseCapture.responseMap.size}`);
-        
-        // Store all GraphQL responses in the window object
-        debugLog('Storing GraphQL XHR response in window.allGraphQLResponses:', responseData);
-        window.allGraphQLResponses.push(responseData);
-        
-        // Store raw response for debugging
-        window.rawResponses.push({
-          type: 'xhr',
-          url,
-          method,
-          requestBody: xhr._graphqlInterceptor.body,
-          responseText,
-          responseData,
-          timestamp: new Date().toISOString()
-        });
-        
-        // Store the response directly in the window object if it contains cluster data
-        if (isClusterData(responseData)) {
-          debugLog('Found cluster data in XHR response:', responseData);
-          window.lastGraphQLResponse = responseData;
-        }
-        
-        // Add to requests array
-        responseCapture.requests.unshift({
-          timestamp: new Date(),
-          url,
-          method,
-          requestBody: xhr._graphqlInterceptor.body,
-          responseBody: responseData,
-          status: xhr.status,
-          headers
-        });
-        
-        // Send to background script
-        chrome.runtime.sendMessage({
-          action: 'processGraphQLRequest',
-          data: {
+          
+          // Parse headers
+          const headers = xhr.getAllResponseHeaders().split('\r\n').reduce((acc, line) => {
+            const parts = line.split(': ');
+            if (parts[0] && parts[1]) {
+              acc[parts[0]] = parts[1];
+            }
+            return acc;
+          }, {});
+          
+          // Store in response map with the full URL as key
+          responseCapture.responseMap.set(url, {
             url,
             method,
             requestBody: xhr._graphqlInterceptor.body,
             responseBody: responseData,
+            responseText,
             status: xhr.status,
             headers,
             timestamp: new Date().toISOString()
+          });
+          
+          debugLog(`Stored XHR response in responseCapture.responseMap for URL: ${url}`);
+          debugLog(`responseCapture.responseMap size: ${responseCapture.responseMap.size}`);
+          
+          // Store all GraphQL responses in the window object
+          debugLog('Storing GraphQL XHR response in window.allGraphQLResponses:', responseData);
+          window.allGraphQLResponses.push(responseData);
+          
+          // Store raw response for debugging
+          window.rawResponses.push({
+            type: 'xhr',
+            url,
+            method,
+            requestBody: xhr._graphqlInterceptor.body,
+            responseText,
+            responseData,
+            timestamp: new Date().toISOString()
+          });
+          
+          // Store the response directly in the window object if it contains cluster data
+          if (isClusterData(responseData)) {
+            debugLog('Found cluster data in XHR response:', responseData);
+            window.lastGraphQLResponse = responseData;
           }
-        });
-      } catch (e) {
-        console.error('Error processing GraphQL XHR request:', e);
-        debugLog(`XHR error: ${e.message}`);
+          
+          // Add to requests array
+          responseCapture.requests.unshift({
+            timestamp: new Date(),
+            url,
+            method,
+            requestBody: xhr._graphqlInterceptor.body,
+            responseBody: responseData,
+            status: xhr.status,
+            headers
+          });
+          
+          // Send to background script
+          chrome.runtime.sendMessage({
+            action: 'processGraphQLRequest',
+            data: {
+              url,
+              method,
+              requestBody: xhr._graphqlInterceptor.body,
+              responseBody: responseData,
+              status: xhr.status,
+              headers,
+              timestamp: new Date().toISOString()
+            }
+          });
+        } catch (e) {
+          console.error('Error processing GraphQL XHR request:', e);
+          debugLog(`XHR error: ${e.message}`);
+        }
       }
-    }
+      
+      if (originalOnReadyStateChange) {
+        originalOnReadyStateChange.apply(this, arguments);
+      }
+    };
     
-    if (originalOnReadyStateChange) {
-      originalOnReadyStateChange.apply(this, arguments);
-    }
+    return originalXHRSend.apply(this, arguments);
   };
-  
-  return originalXHRSend.apply(this, arguments);
-};
+}
 
 // Create UI elements for cluster visualization
 function createVisualizerUI() {
   if (visualizerCreated) return;
   
+  // Host the visualizer in a shadow root with its own stylesheet, added once
+  const host = document.createElement('div');
+  host.id = 'cluster-visualizer-host';
+  visualizerRoot = host.attachShadow({ mode: 'open' });
+  
+  const style = document.createElement('style');
+  style.textContent = getVisualizerStyles();
+  visualizerRoot.appendChild(style);
+  
   const container = document.createElement('div');
   container.id = 'cluster-visualizer';
-  container.style = 'position: fixed; top: 60px; right: 20px; z-index: 9999; background: #f0f0f0; color: #333333; padding: 10px; border-radius: 4px; box-shadow: 0 0 10px rgba(0,0,0,0.5); font-family: Arial, sans-serif; max-height: 80vh; overflow: hidden; transition: transform 0.3s ease; transform: translateX(105%); will-change: transform;';
+  // Start off-screen; the transform is the panel's shown or hidden state, so it stays inline
+  container.style.transform = 'translateX(105%)';
 
   container.innerHTML = `
-    <div id="visualizer-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; cursor: move;">
-      <h3 style="margin: 0;">Cluster Visualizer</h3>
+    <div id="visualizer-header">
+      <h3>Cluster Visualizer</h3>
+      <div class="header-search">
+        <input id="member-search" type="search" placeholder="Search name or ID" title="Enter: next match, Shift+Enter: previous, Esc: clear">
+        <span id="member-search-count"></span>
+      </div>
       <div>
-        <button id="minimize-visualizer" style="background: none; border: none; cursor: pointer; margin-right: 5px;">_</button>
-        <button id="close-visualizer" style="background: none; border: none; cursor: pointer;">✖</button>
+        <button id="import-file" title="Open a saved cluster JSON, GraphQL response or request log. You can also drop the file on the panel">Import…</button>
+        <input id="import-file-input" type="file" accept=".json,application/json">
+        <select id="export-graph" title="Export the graph as it is shown">
+          <option value="">Export…</option>
+          <optgroup label="Image">
+            <option value="svg">SVG file</option>
+            <option value="png">PNG file</option>
+            <option value="png-clipboard">Copy PNG</option>
+          </optgroup>
+          <optgroup label="Data">
+            <option value="graphml">GraphML</option>
+            <option value="gexf">GEXF</option>
+            <option value="dot">DOT</option>
+            <option value="nodes-csv">Nodes CSV</option>
+            <option value="edges-csv">Edges CSV</option>
+            <option value="json">JSON</option>
+          </optgroup>
+        </select>
+        <button id="minimize-visualizer" class="icon-button">_</button>
+        <button id="maximize-visualizer" class="icon-button" title="Maximize">□</button>
+        <button id="close-visualizer" class="icon-button">✖</button>
       </div>
     </div>
     <div id="visualizer-content">
-      <div id="status-message" style="color: #666; font-size: 12px;"></div>
-      <div id="legend-container" style="display: flex; flex-wrap: wrap; margin-top: 5px; margin-bottom: 5px;"></div>
-      <div id="graph-container" style="width: 600px; height: 500px; overflow: hidden; display: none; border: 1px solid #cccccc; margin-top: 10px; background: #ffffff;"></div>
+      <div id="status-message"></div>
+      <div id="cluster-source"></div>
+      <form id="cluster-lookup">
+        <label for="cluster-id">Cluster ID:</label>
+        <input id="cluster-id" list="cluster-id-options" autocomplete="off" placeholder="e.g. 2682385">
+        <datalist id="cluster-id-options"></datalist>
+        <button type="submit">Show</button>
+      </form>
+      <div id="cluster-switcher"></div>
+      <div id="visualizer-options">
+        <label><input type="checkbox" id="toggle-edge-labels"> Show vector sum on edges</label>
+        <label>Edge weight: <select id="edge-weight-score"><option value="">Off</option></select></label>
+        <label>View:
+          <select id="view-mode">
+            <option value="graph">Graph</option>
+            <option value="matrix">Matrix</option>
+          </select>
+        </label>
+        <label id="matrix-order-option">Order rows by:
+          <select id="matrix-order">
+            <option value="group">Duplicate group</option>
+            <option value="name">Name</option>
+          </select>
+        </label>
+        <label>Layout:
+          <select id="layout-engine">
+            <option value="force">Force</option>
+            <option value="dot">Graphviz dot</option>
+            <option value="neato">Graphviz neato</option>
+            <option value="circo">Graphviz circo</option>
+            <option value="fdp">Graphviz fdp</option>
+          </select>
+        </label>
+      </div>
+      <div id="legend-container"></div>
+      <div id="visualizer-body">
+        <div id="graph-container"></div>
+        <div id="matrix-container"></div>
+        <div id="side-panel">
+          <div id="member-details-panel"></div>
+          <div id="conflicts-panel"></div>
+          <div id="duplicate-groups-panel"></div>
+        </div>
+      </div>
     </div>
   `;
 
-  document.body.appendChild(container);
+  visualizerRoot.appendChild(container);
+  document.body.appendChild(host);
 
   // Show the visualizer (slide in from right)
   setTimeout(() => {
     container.style.transform = 'translate3d(0, 0, 0)';
   }, 100);
 
-  document.getElementById('close-visualizer').addEventListener('click', () => {
+  getVisualizerElement('close-visualizer').addEventListener('click', () => {
     // Reset position and hide
     container.style.transition = originalTransition;
     container.style.transform = 'translate3d(105%, 0, 0)';
@@ -618,19 +765,142 @@ function createVisualizerUI() {
     containerX = 0;
     containerY = 60;
   });
-  document.getElementById('minimize-visualizer').addEventListener('click', () => {
-    const content = document.getElementById('visualizer-content');
+  let restoreHeight = null;
+  getVisualizerElement('minimize-visualizer').addEventListener('click', () => {
+    const content = getVisualizerElement('visualizer-content');
     if (content.style.display === 'none') {
-      content.style.display = 'block';
-      container.style.height = 'auto';
+      content.style.display = 'flex';
+      container.style.height = restoreHeight;
     } else {
+      restoreHeight = container.style.height;
       content.style.display = 'none';
       container.style.height = '40px';
     }
   });
 
+  // Toggle vector sum labels on edges without re-running the layout
+  getVisualizerElement('toggle-edge-labels').addEventListener('change', (e) => {
+    visualizerState.showEdgeLabels = e.target.checked;
+    const svg = visualizerRoot.querySelector('#graph-container svg');
+    if (svg) {
+      svg.classList.toggle('show-edge-labels', visualizerState.showEdgeLabels);
+    }
+    
+    // Graphviz draws labels itself, so its graph has to be laid out again
+    if (visualizerState.graph && visualizerState.graph.rerender) {
+      visualizerState.graph.rerender();
+    }
+  });
+
+  // Switch between the graph and the adjacency matrix
+  getVisualizerElement('view-mode').addEventListener('change', (e) => {
+    setViewMode(e.target.value);
+  });
+
+  // Reorder the matrix rows and columns
+  getVisualizerElement('matrix-order').addEventListener('change', (e) => {
+    visualizerState.matrixOrder = e.target.value;
+    renderMatrixView();
+  });
+
+  // Switch between the force layout and the Graphviz engines
+  getVisualizerElement('layout-engine').addEventListener('change', (e) => {
+    visualizerState.layout = e.target.value;
+    renderSelectedCluster();
+  });
+
+  // Drive edge thickness, opacity and distance from the selected score
+  getVisualizerElement('edge-weight-score').addEventListener('change', (e) => {
+    visualizerState.edgeWeightScore = e.target.value;
+    applyEdgeWeights(true);
+    renderMatrixView();
+  });
+
+  getVisualizerElement('export-graph').addEventListener('change', (e) => {
+    const format = e.target.value;
+    e.target.value = '';
+    if (clusterDataExporters[format]) {
+      exportClusterData(format);
+    } else {
+      exportGraph(format);
+    }
+  });
+
+  const clusterIdInput = getVisualizerElement('cluster-id');
+  clusterIdInput.addEventListener('focus', refreshClusterIdOptions);
+  clusterIdInput.addEventListener('keydown', (e) => {
+    // Keep the page's own keyboard shortcuts from firing while typing
+    e.stopPropagation();
+  });
+  getVisualizerElement('cluster-lookup').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const clusterId = clusterIdInput.value.trim();
+    if (!clusterId) return;
+    
+    rememberClusterId(clusterId);
+    fetchAndVisualizeCluster(clusterId);
+  });
+
+  const importInput = getVisualizerElement('import-file-input');
+  getVisualizerElement('import-file').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      importClusterFile(e.target.files[0]);
+    }
+    // Let the same file be picked again
+    e.target.value = '';
+  });
+
+  // Accept files dropped anywhere on the panel, outlining it while a file is dragged over
+  let dragDepth = 0;
+  const isFileDrag = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+  container.addEventListener('dragenter', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth++;
+    container.style.outline = '3px dashed #E50914';
+  });
+  container.addEventListener('dragover', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  container.addEventListener('dragleave', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth--;
+    if (dragDepth === 0) {
+      container.style.outline = '';
+    }
+  });
+  container.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    container.style.outline = '';
+    if (e.dataTransfer.files.length > 0) {
+      importClusterFile(e.dataTransfer.files[0]);
+    }
+  });
+
+  const searchInput = getVisualizerElement('member-search');
+  searchInput.addEventListener('input', (e) => {
+    searchMembers(e.target.value);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    // Keep the page's own keyboard shortcuts from firing while typing
+    e.stopPropagation();
+    
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepSearchMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      e.target.value = '';
+      searchMembers('');
+    }
+  });
+
   // Make the container draggable
-  const header = document.getElementById('visualizer-header');
+  const header = getVisualizerElement('visualizer-header');
   let isDragging = false;
   let offsetX, offsetY;
   let containerX = 0;
@@ -641,8 +911,9 @@ function createVisualizerUI() {
   const originalTransition = container.style.transition;
 
   header.addEventListener('mousedown', (e) => {
-    // Only handle left mouse button
-    if (e.button !== 0) return;
+    // Only handle left mouse button, and leave the header controls alone
+    if (e.button !== 0 || isViewerPage) return;
+    if (e.target.closest('input, select, button')) return;
     
     isDragging = true;
     
@@ -656,7 +927,12 @@ function createVisualizerUI() {
     
     // Remove transition during drag for smoother movement
     container.style.transition = 'none';
+    
+    // Position the container by its transform alone, so the drag starts where it is
+    container.style.top = '0px';
+    container.style.left = '0px';
     container.style.right = 'auto';
+    container.style.transform = `translate3d(${containerX}px, ${containerY}px, 0)`;
     
     // Prevent text selection during drag
     e.preventDefault();
@@ -702,20 +978,129 @@ function createVisualizerUI() {
     }
   });
 
-  // Add keyboard shortcut to show/hide (Ctrl+Shift+C)
-  document.addEventListener('keydown', (e) => {
-    if (e.ctrlKey && e.shiftKey && e.key === 'C') {
-      const isVisible = !container.style.transform.includes('105%');
+  // Place the container at an absolute position and size, keeping it within the viewport
+  const setContainerBounds = (x, y, width, height) => {
+    containerX = Math.max(0, x);
+    containerY = Math.max(0, y);
+    container.style.top = '0px';
+    container.style.left = '0px';
+    container.style.right = 'auto';
+    container.style.width = `${Math.min(width, window.innerWidth)}px`;
+    container.style.height = `${Math.min(height, window.innerHeight)}px`;
+    container.style.transform = `translate3d(${containerX}px, ${containerY}px, 0)`;
+  };
+
+  // Make the container resizable from its edges and corners
+  let resizeState = null;
+  resizeHandleDirections.forEach(direction => {
+    const handle = document.createElement('div');
+    handle.className = `resize-handle resize-${direction}`;
+    
+    handle.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
       
-      if (isVisible) {
-        // Hide
-        container.style.transition = originalTransition;
-        container.style.transform = 'translate3d(105%, 0, 0)';
-        container.style.top = '60px';
-        container.style.right = '20px';
-        container.style.left = 'auto';
-        
-        // Reset stored position
+      const rect = container.getBoundingClientRect();
+      resizeState = { direction, startX: e.clientX, startY: e.clientY, rect };
+      
+      // Resizing leaves maximized mode
+      restoreBounds = null;
+      getVisualizerElement('maximize-visualizer').textContent = '□';
+      
+      container.style.transition = 'none';
+      setContainerBounds(rect.left, rect.top, rect.width, rect.height);
+      
+      e.preventDefault();
+      e.stopPropagation();
+    });
+    
+    container.appendChild(handle);
+  });
+
+  document.addEventListener('mousemove', (e) => {
+    if (!resizeState) return;
+    
+    const { direction, startX, startY, rect } = resizeState;
+    const dx = e.clientX - startX;
+    const dy = e.clientY - startY;
+    
+    let width = rect.width;
+    let height = rect.height;
+    if (direction.includes('e')) width = rect.width + dx;
+    if (direction.includes('w')) width = rect.width - dx;
+    if (direction.includes('s')) height = rect.height + dy;
+    if (direction.includes('n')) height = rect.height - dy;
+    
+    width = Math.max(config.minPanelSize.width, Math.min(width, window.innerWidth));
+    height = Math.max(config.minPanelSize.height, Math.min(height, window.innerHeight));
+    
+    // Dragging the left or top edge keeps the opposite edge in place
+    const x = direction.includes('w') ? rect.right - width : rect.left;
+    const y = direction.includes('n') ? rect.bottom - height : rect.top;
+    
+    setContainerBounds(x, y, width, height);
+  });
+
+  document.addEventListener('mouseup', () => {
+    if (!resizeState) return;
+    
+    resizeState = null;
+    container.style.transition = originalTransition;
+  });
+
+  // Maximize to the viewport, or restore the previous bounds
+  let restoreBounds = null;
+  getVisualizerElement('maximize-visualizer').addEventListener('click', (e) => {
+    if (restoreBounds) {
+      setContainerBounds(restoreBounds.x, restoreBounds.y, restoreBounds.width, restoreBounds.height);
+      restoreBounds = null;
+      e.target.textContent = '□';
+      e.target.title = 'Maximize';
+    } else {
+      const rect = container.getBoundingClientRect();
+      restoreBounds = { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+      setContainerBounds(0, 0, window.innerWidth, window.innerHeight);
+      e.target.textContent = '❐';
+      e.target.title = 'Restore';
+    }
+  });
+
+  // Keep a maximized panel matching the viewport
+  window.addEventListener('resize', () => {
+    if (restoreBounds) {
+      setContainerBounds(0, 0, window.innerWidth, window.innerHeight);
+    }
+  });
+
+  // The viewer page shows the panel full-screen, so there is nothing to move, minimize, restore or close
+  if (isViewerPage) {
+    ['minimize-visualizer', 'maximize-visualizer', 'close-visualizer'].forEach(id => {
+      getVisualizerElement(id).style.display = 'none';
+    });
+    container.querySelectorAll('.resize-handle').forEach(handle => handle.remove());
+    header.style.cursor = 'default';
+    container.style.borderRadius = '0';
+    container.style.transition = 'none';
+    restoreBounds = { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight };
+    setContainerBounds(0, 0, window.innerWidth, window.innerHeight);
+  }
+
+  // Let the graph follow the space the panel leaves for it
+  new ResizeObserver(() => updateGraphSize()).observe(getVisualizerElement('visualizer-body'));
+
+  // Add keyboard shortcut to show/hide (Ctrl+Shift+C)
+  document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey && e.shiftKey && e.key === 'C' && !isViewerPage) {
+      const isVisible = !container.style.transform.includes('105%');
+      
+      if (isVisible) {
+        // Hide
+        container.style.transition = originalTransition;
+        container.style.transform = 'translate3d(105%, 0, 0)';
+        container.style.top = '60px';
+        container.style.right = '20px';
+        container.style.left = 'auto';
+        
+        // Reset stored position
         containerX = 0;
         containerY = 60;
       } else {
@@ -732,6 +1117,405 @@ function createVisualizerUI() {
   visualizerCreated = true;
 }
 
+// Get the visualizer element with the given ID from its shadow root
+function getVisualizerElement(id) {
+  return visualizerRoot ? visualizerRoot.getElementById(id) : null;
+}
+
+// Get the stylesheet of the visualizer's shadow root
+function getVisualizerStyles() {
+  return `
+    :host {
+      all: initial;
+    }
+    #cluster-visualizer {
+      position: fixed;
+      top: 60px;
+      right: 20px;
+      z-index: 9999;
+      background: #f0f0f0;
+      color: #333333;
+      padding: 10px;
+      border-radius: 4px;
+      box-shadow: 0 0 10px rgba(0,0,0,0.5);
+      font-family: Arial, sans-serif;
+      width: min(860px, calc(100vw - 40px));
+      height: min(680px, calc(100vh - 80px));
+      box-sizing: border-box;
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+      transition: transform 0.3s ease;
+      will-change: transform;
+    }
+    ${resizeHandleDirections.map(direction => `.resize-${direction} { ${getResizeHandleStyle(direction)} }`).join('\n    ')}
+    #visualizer-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 10px;
+      cursor: move;
+    }
+    #visualizer-header h3 {
+      margin: 0;
+    }
+    .header-search {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+      font-size: 12px;
+    }
+    #member-search {
+      width: 180px;
+      padding: 2px 5px;
+      font-size: 12px;
+    }
+    #member-search-count {
+      color: #666;
+      min-width: 60px;
+    }
+    #import-file, #export-graph {
+      font-size: 12px;
+      margin-right: 5px;
+    }
+    #import-file-input {
+      display: none;
+    }
+    .icon-button {
+      background: none;
+      border: none;
+      cursor: pointer;
+    }
+    #minimize-visualizer, #maximize-visualizer {
+      margin-right: 5px;
+    }
+    #visualizer-content {
+      display: flex;
+      flex-direction: column;
+      flex: 1;
+      min-height: 0;
+    }
+    #visualizer-content select, #cluster-lookup button {
+      font-size: 12px;
+    }
+    #status-message {
+      color: #666;
+      font-size: 12px;
+    }
+    #cluster-source {
+      display: none;
+      color: #666;
+      font-size: 12px;
+      margin-top: 3px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    #cluster-lookup {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+      margin-top: 5px;
+      font-size: 12px;
+    }
+    #cluster-id {
+      width: 120px;
+      padding: 2px 5px;
+      font-size: 12px;
+    }
+    #cluster-switcher {
+      display: none;
+      margin-top: 5px;
+      font-size: 12px;
+    }
+    #visualizer-options {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      margin-top: 5px;
+      font-size: 12px;
+    }
+    #visualizer-options label {
+      margin-right: 15px;
+    }
+    #matrix-order-option {
+      display: none;
+    }
+    #legend-container {
+      display: flex;
+      flex-wrap: wrap;
+      margin-top: 5px;
+      margin-bottom: 5px;
+    }
+    .legend-section-label {
+      font-size: 12px;
+      font-weight: bold;
+      margin-right: 8px;
+      margin-bottom: 5px;
+    }
+    .legend-item {
+      display: flex;
+      align-items: center;
+      margin-right: 15px;
+      margin-bottom: 5px;
+      cursor: pointer;
+      user-select: none;
+    }
+    .legend-item.legend-item-hidden {
+      opacity: 0.4;
+    }
+    .legend-swatch {
+      width: 15px;
+      height: 15px;
+      margin-right: 5px;
+      box-sizing: border-box;
+    }
+    .legend-swatch-outline {
+      border: 2px solid #666666;
+    }
+    .legend-text {
+      font-size: 12px;
+    }
+    .legend-item-hidden .legend-text {
+      text-decoration: line-through;
+    }
+    .legend-text-unrecognized {
+      font-style: italic;
+    }
+    .legend-row-break {
+      flex-basis: 100%;
+      height: 0;
+    }
+    #visualizer-body {
+      display: flex;
+      align-items: stretch;
+      flex: 1;
+      min-height: 0;
+      margin-top: 10px;
+    }
+    #graph-container, #matrix-container {
+      width: 600px;
+      height: 500px;
+      display: none;
+      border: 1px solid #cccccc;
+      background: #ffffff;
+    }
+    #graph-container {
+      position: relative;
+      overflow: hidden;
+    }
+    #matrix-container {
+      overflow: auto;
+    }
+    .edge-tooltip {
+      position: absolute;
+      display: none;
+      pointer-events: none;
+      background: #ffffff;
+      border: 1px solid #cccccc;
+      border-radius: 4px;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.2);
+      padding: 6px 8px;
+      font-size: 11px;
+      min-width: 180px;
+      z-index: 1;
+    }
+    .edge-tooltip-title {
+      font-weight: bold;
+      margin-bottom: 4px;
+    }
+    .score-list {
+      margin-top: 6px;
+    }
+    .score-row {
+      display: flex;
+      align-items: center;
+      margin-bottom: 2px;
+    }
+    .score-label {
+      width: 60px;
+    }
+    .score-track {
+      flex: 1;
+      height: 8px;
+      background: #eeeeee;
+      margin: 0 6px;
+      min-width: 80px;
+    }
+    .score-bar {
+      height: 100%;
+      background: #4285f4;
+    }
+    .score-value {
+      width: 32px;
+      text-align: right;
+    }
+    .edge-tooltip-sum {
+      margin-top: 4px;
+      font-weight: bold;
+    }
+    #side-panel {
+      display: none;
+      width: ${config.sidePanelWidth}px;
+      flex-shrink: 0;
+      overflow-y: auto;
+      margin-left: 10px;
+      font-size: 12px;
+    }
+    #member-details-panel {
+      display: none;
+      margin-bottom: 10px;
+      padding: 5px;
+      background: #ffffff;
+      border: 1px solid #cccccc;
+    }
+    .muted {
+      color: #666666;
+    }
+    .panel-title {
+      font-weight: bold;
+      margin-bottom: 5px;
+    }
+    #conflicts-panel .panel-title {
+      color: #c62828;
+    }
+    .panel-note {
+      margin-bottom: 5px;
+    }
+    .panel-item {
+      margin-bottom: 8px;
+      padding: 5px;
+      border-left: 4px solid transparent;
+      background: #ffffff;
+    }
+    .conflict-item {
+      border-left-color: ${config.conflictHighlightColor};
+      background: #fffde7;
+      cursor: default;
+    }
+    .group-title {
+      font-weight: bold;
+    }
+    .member-details-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      font-weight: bold;
+    }
+    .member-details-header .icon-button {
+      padding: 0 0 0 5px;
+    }
+    .member-link {
+      display: inline-block;
+      margin: 3px 0 5px;
+      color: #0b61a4;
+    }
+    .details-section-title {
+      font-weight: bold;
+      margin-top: 5px;
+    }
+    .field-row {
+      display: flex;
+      gap: 5px;
+      word-break: break-all;
+    }
+    .field-label {
+      color: #666666;
+      flex-shrink: 0;
+    }
+    .member-edge-item {
+      margin-top: 4px;
+      padding: 3px 5px;
+      border-left: 4px solid transparent;
+      cursor: pointer;
+    }
+    ${getGraphStyles('#graph-container')}
+  `;
+}
+
+// Get the CSS rules of the graph under a scope selector, shared by the panel and exported SVGs
+function getGraphStyles(scope) {
+  return `
+    ${scope} svg {
+      display: block;
+      margin: 0 auto;
+    }
+    ${scope} .dragging {
+      cursor: grabbing;
+    }
+    ${scope} circle {
+      cursor: grab;
+      transition: r 0.2s ease;
+    }
+    ${scope} line {
+      transition: stroke-width 0.2s ease;
+    }
+    ${scope} text {
+      pointer-events: none;
+    }
+    ${scope} .edge-label {
+      display: none;
+    }
+    ${scope} .show-edge-labels .edge-label {
+      display: block;
+    }
+    ${scope} .link-hit-area {
+      cursor: help;
+    }
+  `;
+}
+
+// Edges and corners of the panel that can be dragged to resize it
+const resizeHandleDirections = ['n', 'e', 's', 'w', 'ne', 'nw', 'se', 'sw'];
+
+// Get the CSS declarations of a resize handle for an edge (n, e, s, w) or corner (ne, nw, se, sw)
+function getResizeHandleStyle(direction) {
+  const edge = 6;
+  const corner = 12;
+  const cursors = { n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', ne: 'nesw-resize', sw: 'nesw-resize', nw: 'nwse-resize', se: 'nwse-resize' };
+  
+  let style = `position: absolute; z-index: 1; cursor: ${cursors[direction]};`;
+  if (direction.length === 2) {
+    style += ` width: ${corner}px; height: ${corner}px;`;
+    style += direction.includes('n') ? ' top: 0;' : ' bottom: 0;';
+    style += direction.includes('w') ? ' left: 0;' : ' right: 0;';
+  } else if (direction === 'n' || direction === 's') {
+    style += ` height: ${edge}px; left: ${corner}px; right: ${corner}px; ${direction === 'n' ? 'top' : 'bottom'}: 0;`;
+  } else {
+    style += ` width: ${edge}px; top: ${corner}px; bottom: ${corner}px; ${direction === 'w' ? 'left' : 'right'}: 0;`;
+  }
+  
+  return style;
+}
+
+// Size the graph and matrix to the space left beside the side panel, and let the rendered graph follow
+function updateGraphSize() {
+  const body = getVisualizerElement('visualizer-body');
+  
+  // Nothing to measure while the panel is minimized or hidden
+  if (!body || !body.clientWidth || !body.clientHeight) return;
+  
+  // Borders take 2px in each direction, and the side panel keeps its width plus margin
+  const width = Math.max(200, body.clientWidth - config.sidePanelWidth - 10 - 2);
+  const height = Math.max(200, body.clientHeight - 2);
+  
+  const { graphSize } = visualizerState;
+  if (graphSize.width === width && graphSize.height === height) return;
+  
+  visualizerState.graphSize = { width, height };
+  
+  ['graph-container', 'matrix-container'].forEach(id => {
+    const element = getVisualizerElement(id);
+    element.style.width = `${width}px`;
+    element.style.height = `${height}px`;
+  });
+  
+  if (visualizerState.graph && visualizerState.graph.resize) {
+    visualizerState.graph.resize(width, height);
+  }
+  renderMatrixView();
+}
+
 // Add toggle button to the page
 function addToggleButton() {
   const navBar = document.querySelector('.navbar') || document.querySelector('header');
@@ -741,7 +1525,7 @@ function addToggleButton() {
   button.textContent = 'Visualize';
   button.style = 'background: #E50914; color: white; border: none; padding: 5px 10px; border-radius: 3px; margin-left: 10px; cursor: pointer;';
   button.addEventListener('click', () => {
-    const container = document.getElementById('cluster-visualizer');
+    const container = getVisualizerElement('cluster-visualizer');
     container.style.transform = container.style.transform === 'translateX(0px)' ? 'translateX(105%)' : 'translateX(0)';
   });
 
@@ -750,302 +1534,132 @@ function addToggleButton() {
 
 // Set status message
 function setStatus(message, isError = false) {
-  const statusEl = document.getElementById('status-message');
+  const statusEl = getVisualizerElement('status-message');
   if (statusEl) {
     statusEl.textContent = message;
     statusEl.style.color = isError ? 'red' : '#666';
   }
 }
 
-// Transform GraphQL response to cluster data format
-function transformToClusterData(response, requestedClusterId = null) {
-  try {
-    debugLog('Transforming GraphQL response to cluster data format', response);
-    let clusterData = null;
+// Set a warning status message, for problems that don't stop the visualization
+function setWarning(message) {
+  const statusEl = getVisualizerElement('status-message');
+  if (statusEl) {
+    statusEl.textContent = message;
+    statusEl.style.color = '#b26a00';
+  }
+}
+
+// Describe the captured request a response came from, for showing the provenance of its clusters
+// Returns null when the response can't be traced back to a request
+function getCapturedSource(response) {
+  const raw = response && response.action === 'captureResponseBody'
+    ? response
+    : window.rawResponses.find(entry => entry.responseData === response);
+  if (!raw) return null;
+  
+  const operations = extractGraphQLOperations(raw.requestBody);
+  const operation = operations.find(item => item.operationName === 'getPersonClusterDetails') || operations[0] || {};
+  
+  return {
+    type: 'captured',
+    operationName: operation.operationName || null,
+    url: raw.url || null,
+    capturedAt: raw.timestamp || null,
+    requestedId: operation.variables && operation.variables.id ? String(operation.variables.id) : null
+  };
+}
+
+// Find the clusters in an imported file: exported cluster JSON, a GraphQL response, or a log of captured requests
+// Returns an array of clusters, or null
+function extractImportedClusters(content) {
+  const direct = transformToClusterData(content, null);
+  if (direct) return direct;
+  
+  // Request logs are arrays of captured requests, or the background's { requests } reply
+  const entries = Array.isArray(content) ? content : content && Array.isArray(content.requests) ? content.requests : null;
+  if (!entries) return null;
+  
+  const clustersById = new Map();
+  entries.forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
     
-    // Handle direct GraphQL response format (from graphQLResponse file)
-    if (Array.isArray(response) && response.length > 0 && response[0].data) {
-      debugLog('Processing direct GraphQL response array');
-      
-      // Check for prsn_deduplicationClusters format
-      if (response[0].data.prsn_deduplicationClusters) {
-        clusterData = response[0].data.prsn_deduplicationClusters;
-        
-        // If we have a requested cluster ID, verify this is the right cluster
-        if (requestedClusterId &&
-            clusterData.edges &&
-            clusterData.edges.length > 0 &&
-            clusterData.edges[0].node &&
-            clusterData.edges[0].node.id !== requestedClusterId) {
-          debugLog(`Skipping cluster ${clusterData.edges[0].node.id} - doesn't match requested ID ${requestedClusterId}`);
-          return null;
-        }
-      }
-      // Check for deduplicationClusters format
-      else if (response[0].data.deduplicationClusters) {
-        clusterData = response[0].data.deduplicationClusters;
-        
-        // If we have a requested cluster ID, verify this is the right cluster
-        if (requestedClusterId &&
-            clusterData.edges &&
-            clusterData.edges.length > 0 &&
-            clusterData.edges[0].node &&
-            clusterData.edges[0].node.id !== requestedClusterId) {
-          debugLog(`Skipping cluster ${clusterData.edges[0].node.id} - doesn't match requested ID ${requestedClusterId}`);
-          return null;
-        }
+    // Captured requests keep the response under different names depending on where they were logged
+    let candidates = [entry, entry.response, entry.responseData, entry.responseBody];
+    if (typeof entry.responseText === 'string') {
+      try {
+        candidates.push(JSON.parse(entry.responseText));
+      } catch (e) {
+        debugLog('Skipping unparseable responseText in imported log entry');
       }
     }
+    candidates = candidates.filter(candidate => candidate && typeof candidate === 'object');
     
-    // Handle captureResponseBody message with getPersonClusterDetails
-    if (!clusterData && response.action === 'captureResponseBody') {
-      debugLog('Processing captureResponseBody message');
-      
-      // If we have a requested cluster ID, check if this response is for that cluster
-      if (requestedClusterId &&
-          response.requestBody &&
-          Array.isArray(response.requestBody)) {
-        let matchesRequestedId = false;
-        for (const item of response.requestBody) {
-          if (item.operationName === 'getPersonClusterDetails' &&
-              item.variables &&
-              item.variables.id === requestedClusterId) {
-            matchesRequestedId = true;
-            break;
-          }
-        }
-        
-        if (!matchesRequestedId) {
-          debugLog(`Skipping captureResponseBody - doesn't match requested ID ${requestedClusterId}`);
-          return null;
-        }
-      }
-      
-      // Check if we have a responseBody in the message
-      if (response.data && response.data.responseBody) {
-        debugLog('Found responseBody in captureResponseBody message');
-        
-        // Try to parse the responseBody if it's a string
-        let responseBody = response.data.responseBody;
-        if (typeof responseBody === 'string') {
-          try {
-            responseBody = JSON.parse(responseBody);
-          } catch (e) {
-            debugLog('Failed to parse responseBody string:', e);
-          }
-        }
-        
-        // Check for cluster data in the parsed responseBody
-        if (Array.isArray(responseBody) && responseBody.length > 0 && responseBody[0].data) {
-          if (responseBody[0].data.prsn_deduplicationClusters) {
-            clusterData = responseBody[0].data.prsn_deduplicationClusters;
-          } else if (responseBody[0].data.deduplicationClusters) {
-            clusterData = responseBody[0].data.deduplicationClusters;
-          }
-        } else if (responseBody && responseBody.data) {
-          if (responseBody.data.prsn_deduplicationClusters) {
-            clusterData = responseBody.data.prsn_deduplicationClusters;
-          } else if (responseBody.data.deduplicationClusters) {
-            clusterData = responseBody.data.deduplicationClusters;
-          }
-        }
-      }
+    for (const candidate of candidates) {
+      const clusters = transformToClusterData(candidate, null);
+      if (!clusters) continue;
       
-      // If no responseBody or no cluster data found, check requestBody for getPersonClusterDetails
-      if (!clusterData && response.requestBody && Array.isArray(response.requestBody)) {
-        for (const item of response.requestBody) {
-          if (item.operationName === 'getPersonClusterDetails' && item.variables && item.variables.id) {
-            // If we have a requested cluster ID, verify this is the right operation
-            if (requestedClusterId && item.variables.id !== requestedClusterId) {
-              debugLog(`Skipping getPersonClusterDetails operation with ID ${item.variables.id} - doesn't match requested ID ${requestedClusterId}`);
-              continue;
-            }
-            
-            debugLog('Processing getPersonClusterDetails operation with ID:', item.variables.id);
-            
-            // Try to find the response data in window.allGraphQLResponses
-            for (const graphqlResponse of window.allGraphQLResponses) {
-              if (graphqlResponse && typeof graphqlResponse === 'object') {
-                // Check if it's a direct GraphQL response
-                if (Array.isArray(graphqlResponse) && graphqlResponse.length > 0 && graphqlResponse[0].data) {
-                  if (graphqlResponse[0].data.prsn_deduplicationClusters) {
-                    // If we have a requested cluster ID, verify this is the right cluster
-                    const potentialClusterData = graphqlResponse[0].data.prsn_deduplicationClusters;
-                    if (requestedClusterId &&
-                        potentialClusterData.edges &&
-                        potentialClusterData.edges.length > 0 &&
-                        potentialClusterData.edges[0].node &&
-                        potentialClusterData.edges[0].node.id !== requestedClusterId) {
-                      continue;
-                    }
-                    
-                    clusterData = potentialClusterData;
-                    break;
-                  }
-                }
-                // Check if it's a response with data property
-                else if (graphqlResponse.data) {
-                  if (graphqlResponse.data.prsn_deduplicationClusters) {
-                    // If we have a requested cluster ID, verify this is the right cluster
-                    const potentialClusterData = graphqlResponse.data.prsn_deduplicationClusters;
-                    if (requestedClusterId &&
-                        potentialClusterData.edges &&
-                        potentialClusterData.edges.length > 0 &&
-                        potentialClusterData.edges[0].node &&
-                        potentialClusterData.edges[0].node.id !== requestedClusterId) {
-                      continue;
-                    }
-                    
-                    clusterData = potentialClusterData;
-                    break;
-                  } else if (graphqlResponse.data.person && graphqlResponse.data.person.deduplicationCluster) {
-                    // If we have a requested cluster ID, verify this is the right cluster
-                    const potentialCluster = graphqlResponse.data.person.deduplicationCluster;
-                    if (requestedClusterId && potentialCluster.id !== requestedClusterId) {
-                      continue;
-                    }
-                    
-                    clusterData = {
-                      edges: [{ node: potentialCluster }]
-                    };
-                    break;
-                  }
-                }
-                // Check if it has responseBody
-                else if (graphqlResponse.responseBody) {
-                  const respBody = graphqlResponse.responseBody;
-                  if (respBody.data && respBody.data.prsn_deduplicationClusters) {
-                    // If we have a requested cluster ID, verify this is the right cluster
-                    const potentialClusterData = respBody.data.prsn_deduplicationClusters;
-                    if (requestedClusterId &&
-                        potentialClusterData.edges &&
-                        potentialClusterData.edges.length > 0 &&
-                        potentialClusterData.edges[0].node &&
-                        potentialClusterData.edges[0].node.id !== requestedClusterId) {
-                      continue;
-                    }
-                    
-                    clusterData = potentialClusterData;
-                    break;
-                  }
-                }
-              }
-            }
-            
-            if (!clusterData) {
-              // No valid cluster data found
-              return null;
-            }
-            
-            break;
-          }
+      // Logs usually hold the same cluster several times; keep the first copy
+      clusters.forEach(cluster => {
+        if (!clustersById.has(cluster.id)) {
+          clustersById.set(cluster.id, cluster);
         }
-      }
+      });
+      break;
     }
-    
-    // Handle array response
-    if (!clusterData && Array.isArray(response)) {
-      for (const item of response) {
-        if (item.data && item.data.prsn_deduplicationClusters) {
-          const potentialClusterData = item.data.prsn_deduplicationClusters;
-          
-          // If we have a requested cluster ID, verify this is the right cluster
-          if (requestedClusterId &&
-              potentialClusterData.edges &&
-              potentialClusterData.edges.length > 0 &&
-              potentialClusterData.edges[0].node &&
-              potentialClusterData.edges[0].node.id !== requestedClusterId) {
-            continue;
-          }
-          
-          clusterData = potentialClusterData;
-          break;
-        }
+  });
+  
+  return clustersById.size > 0 ? Array.from(clustersById.values()) : null;
+}
+
+// Read a dropped or picked file and visualize the clusters in it
+function importClusterFile(file) {
+  setStatus(`Importing ${file.name}...`);
+  
+  file.text()
+    .then(text => {
+      let content;
+      try {
+        content = JSON.parse(text);
+      } catch (e) {
+        setStatus(`Error: ${file.name} is not valid JSON`, true);
+        return;
       }
-    }
-    // Handle single response object
-    else if (!clusterData && response.data && response.data.prsn_deduplicationClusters) {
-      const potentialClusterData = response.data.prsn_deduplicationClusters;
       
-      // If we have a requested cluster ID, verify this is the right cluster
-      if (requestedClusterId &&
-          potentialClusterData.edges &&
-          potentialClusterData.edges.length > 0 &&
-          potentialClusterData.edges[0].node &&
-          potentialClusterData.edges[0].node.id !== requestedClusterId) {
-        debugLog(`Skipping cluster ${potentialClusterData.edges[0].node.id} - doesn't match requested ID ${requestedClusterId}`);
-        return null;
+      const clusters = extractImportedClusters(content);
+      if (!clusters) {
+        setStatus(`Error: No cluster data found in ${file.name}`, true);
+        return;
       }
       
-      clusterData = potentialClusterData;
-    }
-    
-    if (!clusterData || !clusterData.edges || !clusterData.edges.length) {
-      debugLog('No valid cluster data found in response');
-      return null;
-    }
-    
-    // Get the first cluster
-    const cluster = clusterData.edges[0].node;
-    
-    if (!cluster) {
-      debugLog('Invalid cluster structure', cluster);
-      return null;
-    }
-    
-    // Final check for requested cluster ID
-    if (requestedClusterId && cluster.id !== requestedClusterId) {
-      debugLog(`Skipping cluster ${cluster.id} - doesn't match requested ID ${requestedClusterId}`);
-      return null;
-    }
-    
-    // Handle case where cluster data might be in a different format
-    if (!cluster.edges || !cluster.members) {
-      debugLog('Cluster data is in a different format, cannot adapt');
-      return null;
-    }
-    
-    // Transform to the format expected by the visualizer
-    const nodes = cluster.members.map(member => ({
-      person_id: member.node.id,
-      name: member.node.name || 'No name'
-    }));
-    
-    const edges = cluster.edges.map(edge => ({
-      lower_person_id: edge.nodeA.id,
-      higher_person_id: edge.nodeB.id,
-      status: edge.status,
-      sub_status_type: edge.subStatuses && edge.subStatuses.length > 0 ? edge.subStatuses[0] : null,
-      notes: edge.vector ? `Scores: Name=${edge.vector.nameScore}, Email=${edge.vector.emailScore}, Phone=${edge.vector.phoneScore}` : null
-    }));
-    
-    const result = {
-      id: cluster.id,
-      nodes: nodes,
-      edges: edges
-    };
-    
-    debugLog('Transformed cluster data', result);
-    return result;
-  } catch (e) {
-    console.error('Error transforming GraphQL response to cluster data:', e);
-    return null;
-  }
+      debugLog(`Imported ${clusters.length} clusters from ${file.name}`, clusters);
+      clusters.forEach(cluster => {
+        // Clusters exported by the visualizer keep the source they were originally captured from
+        cluster.source = { type: 'imported', fileName: file.name, original: cluster.source || null };
+      });
+      lastClusterData = clusters;
+      visualizeCluster(clusters);
+    })
+    .catch(error => {
+      console.error('Error importing file:', error);
+      setStatus(`Error reading ${file.name}: ${error.message}`, true);
+    });
 }
+
 // Use the hardcoded GraphQL response data from the graphQLResponse file
 function useHardcodedGraphQLResponse() {
   debugLog('Using hardcoded GraphQL response data');
   setStatus('Loading hardcoded GraphQL response data...', false);
   
   // Clear any existing visualization first
-  const graphContainer = document.getElementById('graph-container');
+  const graphContainer = getVisualizerElement('graph-container');
   if (graphContainer) {
     graphContainer.style.display = 'none';
     graphContainer.innerHTML = '';
   }
   
   // Clear the legend container
-  const legendContainer = document.getElementById('legend-container');
+  const legendContainer = getVisualizerElement('legend-container');
   if (legendContainer) {
     legendContainer.innerHTML = '';
   }
@@ -1173,20 +1787,21 @@ function useHardcodedGraphQLResponse() {
     window.allGraphQLResponses.push(hardcodedResponse);
     
     // Transform to cluster data - don't pass a specific cluster ID since we're using hardcoded data
-    const clusterData = transformToClusterData(hardcodedResponse, null);
+    const clusters = transformToClusterData(hardcodedResponse, null);
     
-    if (clusterData) {
-      debugLog('Successfully transformed hardcoded data to cluster format', clusterData);
-      lastClusterData = clusterData;
+    if (clusters) {
+      debugLog('Successfully transformed hardcoded data to cluster format', clusters);
+      clusters.forEach(cluster => { cluster.source = { type: 'sample' }; });
+      lastClusterData = clusters;
       
       // Update cluster ID input
-      const clusterIdInput = document.getElementById('cluster-id');
+      const clusterIdInput = getVisualizerElement('cluster-id');
       if (clusterIdInput) {
-        clusterIdInput.value = clusterData.id;
+        clusterIdInput.value = clusters[0].id;
       }
       
-      // Visualize the cluster
-      visualizeCluster(clusterData);
+      // Visualize the clusters
+      visualizeCluster(clusters);
     } else {
       setStatus('Failed to transform hardcoded data to cluster format', true);
     }
@@ -1202,14 +1817,14 @@ function loadSampleData() {
   setStatus('Loading sample data...', false);
   
   // Clear any existing visualization first
-  const graphContainer = document.getElementById('graph-container');
+  const graphContainer = getVisualizerElement('graph-container');
   if (graphContainer) {
     graphContainer.style.display = 'none';
     graphContainer.innerHTML = '';
   }
   
   // Clear the legend container
-  const legendContainer = document.getElementById('legend-container');
+  const legendContainer = getVisualizerElement('legend-container');
   if (legendContainer) {
     legendContainer.innerHTML = '';
   }
@@ -1223,19 +1838,21 @@ function loadSampleData() {
       try {
         debugLog('Checking response for cluster data:', response);
         // Don't pass a specific cluster ID here since we're looking for any valid cluster
-        const clusterData = transformToClusterData(response, null);
-        if (clusterData) {
+        const clusters = transformToClusterData(response, null);
+        if (clusters) {
           debugLog('Successfully transformed intercepted data to cluster format');
-          lastClusterData = clusterData;
+          const source = getCapturedSource(response);
+          clusters.forEach(cluster => { cluster.source = source; });
+          lastClusterData = clusters;
           
           // Update cluster ID input
-          const clusterIdInput = document.getElementById('cluster-id');
+          const clusterIdInput = getVisualizerElement('cluster-id');
           if (clusterIdInput) {
-            clusterIdInput.value = clusterData.id;
+            clusterIdInput.value = clusters[0].id;
           }
           
-          // Visualize the cluster
-          visualizeCluster(clusterData);
+          // Visualize the clusters
+          visualizeCluster(clusters);
           return;
         }
       } catch (e) {
@@ -1251,19 +1868,21 @@ function loadSampleData() {
     debugLog('Using intercepted GraphQL data from window.lastGraphQLResponse');
     try {
       // Don't pass a specific cluster ID here since we're looking for any valid cluster
-      const clusterData = transformToClusterData(window.lastGraphQLResponse, null);
-      if (clusterData) {
+      const clusters = transformToClusterData(window.lastGraphQLResponse, null);
+      if (clusters) {
         debugLog('Successfully transformed intercepted data to cluster format');
-        lastClusterData = clusterData;
+        const source = getCapturedSource(window.lastGraphQLResponse);
+        clusters.forEach(cluster => { cluster.source = source; });
+        lastClusterData = clusters;
         
         // Update cluster ID input
-        const clusterIdInput = document.getElementById('cluster-id');
+        const clusterIdInput = getVisualizerElement('cluster-id');
         if (clusterIdInput) {
-          clusterIdInput.value = clusterData.id;
+          clusterIdInput.value = clusters[0].id;
         }
         
-        // Visualize the cluster
-        visualizeCluster(clusterData);
+        // Visualize the clusters
+        visualizeCluster(clusters);
         return;
       }
     } catch (e) {
@@ -1279,19 +1898,20 @@ function loadSampleData() {
         debugLog('Successfully loaded sample data', response.sampleData);
         
         // Don't pass a specific cluster ID here since we're looking for any valid cluster
-        const clusterData = transformToClusterData(response.sampleData, null);
-        if (clusterData) {
+        const clusters = transformToClusterData(response.sampleData, null);
+        if (clusters) {
           debugLog('Successfully transformed sample data to cluster format');
-          lastClusterData = clusterData;
+          clusters.forEach(cluster => { cluster.source = { type: 'sample' }; });
+          lastClusterData = clusters;
           
           // Update cluster ID input
-          const clusterIdInput = document.getElementById('cluster-id');
+          const clusterIdInput = getVisualizerElement('cluster-id');
           if (clusterIdInput) {
-            clusterIdInput.value = clusterData.id;
+            clusterIdInput.value = clusters[0].id;
           }
           
-          // Visualize the cluster
-          visualizeCluster(clusterData);
+          // Visualize the clusters
+          visualizeCluster(clusters);
         } else {
           setStatus('Failed to transform sample data to cluster format', true);
         }
@@ -1307,160 +1927,2040 @@ function loadSampleData() {
   });
 }
 
-// Fetch and visualize cluster by ID
-function fetchAndVisualizeCluster(clusterId) {
-  if (!clusterId) {
-    setStatus('No cluster ID provided', true);
+// Fetch and visualize cluster by ID
+function fetchAndVisualizeCluster(clusterId) {
+  if (!clusterId) {
+    setStatus('No cluster ID provided', true);
+    return;
+  }
+
+  debugLog('Fetching cluster data for ID:', clusterId);
+  setStatus(`Fetching cluster data for ID: ${clusterId}...`, false);
+  
+  // Clear any existing visualization first to prevent showing the old cluster
+  const graphContainer = getVisualizerElement('graph-container');
+  if (graphContainer) {
+    graphContainer.style.display = 'none';
+    graphContainer.innerHTML = '';
+  }
+  
+  // Clear the legend container
+  const legendContainer = getVisualizerElement('legend-container');
+  if (legendContainer) {
+    legendContainer.innerHTML = '';
+  }
+  
+  // Hide the old cluster's source until the new one is found
+  const sourceEl = getVisualizerElement('cluster-source');
+  if (sourceEl) {
+    sourceEl.style.display = 'none';
+  }
+  
+  // First look for the requested cluster in the responses this page intercepted, newest first
+  // Only a cluster with exactly the requested ID is shown; another cluster's data is never relabelled
+  // captureResponseBody messages are skipped: they echo responses this page already stored
+  const interceptedResponses = (window.allGraphQLResponses || []).slice().reverse();
+  debugLog(`Checking ${interceptedResponses.length} intercepted responses for cluster data`);
+  
+  for (const response of interceptedResponses) {
+    if (!response || typeof response !== 'object' || response.action === 'captureResponseBody') continue;
+    
+    const clusters = transformToClusterData(response, clusterId);
+    const clusterData = clusters && clusters.find(cluster => cluster.id === clusterId);
+    if (clusterData) {
+      debugLog(`Found exact match for cluster ID ${clusterId} in intercepted data`);
+      clusterData.source = getCapturedSource(response);
+      visualizeCluster(clusterData);
+      return;
+    }
+  }
+  
+  // If no intercepted data found, try the background script
+  debugLog('No intercepted data found, trying background script');
+  chrome.runtime.sendMessage({
+    action: 'getClusterById',
+    clusterId
+  }, response => {
+    if (response && response.clusterData) {
+      debugLog('Found cluster data in background script', response.clusterData);
+      visualizeCluster(response.clusterData);
+    } else {
+      debugLog('No data found for cluster ID:', clusterId);
+      requestClusterFromDataMechanic(clusterId);
+    }
+  });
+}
+
+// Visualize the cluster a person belongs to, from any captured query that returned it
+// Until the person page's own query has been captured there is nothing to show; its cluster data is shown when it arrives
+function fetchAndVisualizePersonCluster(personId) {
+  debugLog('Looking for the cluster of person:', personId);
+  setStatus(`Looking for the cluster of person ${personId}...`, false);
+  
+  const hasPerson = cluster => cluster.nodes.some(node => node.person_id === personId);
+  const interceptedResponses = (window.allGraphQLResponses || []).slice().reverse();
+  
+  for (const response of interceptedResponses) {
+    if (!response || typeof response !== 'object' || response.action === 'captureResponseBody') continue;
+    
+    const clusterData = (transformToClusterData(response) || []).find(hasPerson);
+    if (clusterData) {
+      debugLog(`Found cluster ${clusterData.id} of person ${personId} in intercepted data`);
+      clusterData.source = getCapturedSource(response);
+      visualizeCluster(clusterData);
+      return;
+    }
+  }
+  
+  chrome.runtime.sendMessage({ action: 'getClusterByPersonId', personId }, response => {
+    if (response && response.clusterData) {
+      debugLog('Found cluster data for person in background script', response.clusterData);
+      visualizeCluster(response.clusterData);
+    } else {
+      setStatus(`Waiting for Data Mechanic to load the cluster of person ${personId}...`, false);
+    }
+  });
+}
+
+// Fetch a cluster that hasn't been captured, by repeating a captured getPersonClusterDetails request for its ID
+// Without a captured request to repeat there is no way to fetch it; the user is asked to open a cluster in Data Mechanic first
+function requestClusterFromDataMechanic(clusterId) {
+  if (isViewerPage) {
+    setStatus(`Error: Cluster ${clusterId} hasn't been captured. Open it in Data Mechanic, or import it from a file`, true);
+    return;
+  }
+  
+  findClusterQuery(template => {
+    if (template) {
+      fetchClusterFromPage(clusterId, template);
+    } else {
+      reportMissingClusterQuery(clusterId);
+    }
+  });
+}
+
+// Explain why a cluster can't be fetched yet, unless the page is already loading it
+function reportMissingClusterQuery(clusterId) {
+  const urlMatch = window.location.pathname.match(/duplicates\/(\d+)/);
+  if (urlMatch && urlMatch[1] === clusterId) {
+    // The page is already loading this cluster; its data is shown when it arrives
+    setStatus(`Loading cluster ${clusterId}...`, false);
+    return;
+  }
+  
+  setStatus(`Error: Cluster ${clusterId} can't be fetched yet. Open any cluster in Data Mechanic first, so the visualizer can capture the query it uses to load clusters`, true);
+}
+
+// Find the endpoint and operation of the newest captured getPersonClusterDetails request
+// Requests seen by this page are checked first, then those captured by the background script
+function findClusterQuery(callback) {
+  for (let i = window.rawResponses.length - 1; i >= 0; i--) {
+    const raw = window.rawResponses[i].message || window.rawResponses[i];
+    if (!raw.url) continue;
+    
+    const operation = extractGraphQLOperations(raw.requestBody).find(item =>
+      item.operationName === 'getPersonClusterDetails' && (item.query || item.extensions));
+    if (operation) {
+      // Batched bodies are JSON arrays, whether or not they are still a string
+      const batched = Array.isArray(raw.requestBody) || /^\s*\[/.test(raw.requestBody);
+      callback({ url: raw.url, batched, headers: raw.requestHeaders || {}, operation });
+      return;
+    }
+  }
+  
+  chrome.runtime.sendMessage({ action: 'getClusterQuery' }, response => {
+    if (chrome.runtime.lastError || !response || !response.request) {
+      callback(null);
+      return;
+    }
+    
+    const { url, batched, headers, operationName, query, variables, extensions } = response.request;
+    callback({ url, batched, headers: headers || {}, operation: { operationName, query, variables, extensions } });
+  });
+}
+
+// Run a captured getPersonClusterDetails request again for another cluster ID, and visualize the result
+function fetchClusterFromPage(clusterId, template) {
+  const operation = {
+    operationName: template.operation.operationName,
+    variables: { ...template.operation.variables, id: clusterId },
+    query: template.operation.query
+  };
+  if (template.operation.extensions) {
+    operation.extensions = template.operation.extensions;
+  }
+  
+  debugLog(`Fetching cluster ${clusterId} from ${template.url}`);
+  setStatus(`Cluster ${clusterId} hasn't been captured yet, fetching it from Data Mechanic...`, false);
+  
+  requestFromPage(template.url, template.batched ? [operation] : operation, template.headers, config.clusterFetchTimeout)
+    .then(({ status, responseText }) => {
+      let responseData;
+      try {
+        responseData = JSON.parse(responseText);
+      } catch (e) {
+        throw new Error(`Data Mechanic answered with HTTP ${status} and no JSON`);
+      }
+      
+      const graphqlErrors = (Array.isArray(responseData) ? responseData : [responseData])
+        .flatMap(item => (item && item.errors) || [])
+        .map(error => error.message || String(error));
+      if (status < 200 || status >= 300) {
+        throw new Error(`Data Mechanic answered with HTTP ${status}${graphqlErrors.length ? `: ${graphqlErrors[0]}` : ''}`);
+      }
+      
+      const clusterData = (transformToClusterData(responseData, clusterId) || []).find(cluster => cluster.id === clusterId);
+      if (!clusterData) {
+        throw new Error(graphqlErrors.length ? graphqlErrors[0] : `Cluster ${clusterId} was not found`);
+      }
+      
+      debugLog(`Fetched cluster ${clusterId}`, clusterData);
+      clusterData.source = {
+        type: 'fetched',
+        operationName: operation.operationName,
+        url: template.url,
+        capturedAt: new Date().toISOString(),
+        requestedId: clusterId
+      };
+      visualizeCluster(clusterData);
+    })
+    .catch(error => {
+      console.error(`Error fetching cluster ${clusterId}:`, error);
+      setStatus(`Error fetching cluster ${clusterId}: ${error.message}`, true);
+    });
+}
+
+// Send a GraphQL request from the page itself, with the headers of the captured request, so it carries the app's session like its own requests
+// The page interceptors capture the response for the background script, marked so it isn't announced to the tabs as a new capture
+function requestFromPage(url, body, headers, timeout) {
+  const requestId = `cluster-fetch-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onMessage);
+      reject(new Error(`No answer after ${Math.round(timeout / 1000)} seconds`));
+    }, timeout);
+    
+    function onMessage(event) {
+      if (event.source !== window || !event.data ||
+          event.data.source !== 'graphql-cluster-fetch' || event.data.requestId !== requestId) {
+        return;
+      }
+      
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      if (event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        resolve(event.data);
+      }
+    }
+    window.addEventListener('message', onMessage);
+    
+    const script = document.createElement('script');
+    script.textContent = `
+      fetch(${JSON.stringify(url)}, {
+        method: 'POST',
+        credentials: 'include',
+        headers: ${JSON.stringify({ ...headers, 'content-type': 'application/json' })},
+        body: ${JSON.stringify(JSON.stringify(body))},
+        graphqlClusterFetch: true
+      })
+        .then(response => response.text().then(responseText => {
+          window.postMessage({ source: 'graphql-cluster-fetch', requestId: ${JSON.stringify(requestId)}, status: response.status, responseText }, '*');
+        }))
+        .catch(error => {
+          window.postMessage({ source: 'graphql-cluster-fetch', requestId: ${JSON.stringify(requestId)}, error: error.message || 'Network error' }, '*');
+        });
+    `;
+    document.documentElement.appendChild(script);
+    script.remove();
+  });
+}
+
+// Fill the cluster ID autocomplete with recently looked-up IDs, then the clusters captured so far
+function refreshClusterIdOptions() {
+  const datalist = getVisualizerElement('cluster-id-options');
+  if (!datalist) return;
+  
+  chrome.runtime.sendMessage({ action: 'getClusterHistory' }, response => {
+    fillClusterIdOptions(datalist, response && response.history);
+  });
+}
+
+// Visualize a single cluster or a page of clusters
+function visualizeCluster(data) {
+  const clusters = (Array.isArray(data) ? data : [data]).filter(Boolean);
+  
+  visualizerState.clusters = clusters;
+  visualizerState.selectedIndex = 0;
+  
+  renderClusterSwitcher();
+  renderSelectedCluster();
+}
+
+// Render the selected cluster, or every cluster side by side
+function renderSelectedCluster() {
+  const { clusters, selectedIndex } = visualizerState;
+  
+  renderClusterSource();
+  if (selectedIndex === -1) {
+    renderClusterGraph(mergeClusters(clusters));
+  } else {
+    renderClusterGraph(clusters[selectedIndex]);
+  }
+}
+
+// Describe where a cluster's data came from, in words
+function describeClusterSource(source) {
+  if (!source) {
+    return 'unknown';
+  }
+  
+  const time = source.capturedAt ? new Date(source.capturedAt).toLocaleString() : 'at an unknown time';
+  const request = `${source.operationName || 'GraphQL'} request to ${source.url || 'an unknown endpoint'}`;
+  
+  switch (source.type) {
+    case 'captured':
+      return `${request}, captured ${time}`;
+    case 'fetched':
+      return `${request}, fetched on demand ${time}`;
+    case 'imported':
+      return `imported from ${source.fileName}${source.original ? `, originally ${describeClusterSource(source.original)}` : ''}`;
+    case 'sample':
+      return 'built-in sample data';
+    default:
+      return `${source.type} data`;
+  }
+}
+
+// List what makes a cluster's source doubtful: unknown, requested for another cluster, or captured long ago
+function getClusterSourceProblems(cluster) {
+  const { source } = cluster;
+  if (!source) {
+    return [`cluster ${cluster.id} couldn't be traced to a captured request`];
+  }
+  
+  // Person-centric queries ask for a member's ID rather than the cluster's
+  const requestedMember = cluster.nodes.some(node => node.person_id === source.requestedId);
+  
+  const problems = [];
+  if (source.requestedId && source.requestedId !== cluster.id && !requestedMember) {
+    problems.push(`cluster ${cluster.id} came from a request for cluster ${source.requestedId}`);
+  }
+  
+  const age = source.capturedAt ? Date.now() - new Date(source.capturedAt).getTime() : 0;
+  if ((source.type === 'captured' || source.type === 'fetched') && age > config.staleSourceAge) {
+    problems.push(`cluster ${cluster.id} was captured ${Math.round(age / 60000)} minutes ago and may be out of date`);
+  }
+  
+  return problems;
+}
+
+// Show which captured request the shown clusters came from, flagging stale or mismatched sources
+function renderClusterSource() {
+  const sourceEl = getVisualizerElement('cluster-source');
+  if (!sourceEl) return;
+  
+  const clusters = getShownClusters();
+  // Clusters restored from storage or messages carry copies of their source, so sources are compared by value
+  const sourcesByKey = new Map();
+  clusters.forEach(cluster => {
+    const source = cluster.source || null;
+    const key = source ? `${source.url || source.fileName}|${source.operationName}|${source.capturedAt}` : '';
+    if (!sourcesByKey.has(key)) sourcesByKey.set(key, source);
+  });
+  const sources = Array.from(sourcesByKey.values());
+  const problems = clusters.flatMap(getClusterSourceProblems);
+  
+  const text = sources.length === 1
+    ? `Source: ${describeClusterSource(sources[0])}`
+    : `Sources: ${sources.length} different requests`;
+  
+  sourceEl.textContent = problems.length > 0 ? `⚠ ${text}. Note: ${problems.join('; ')}` : text;
+  sourceEl.title = [...sources.map(describeClusterSource), ...problems].join('\n');
+  sourceEl.style.color = problems.length > 0 ? '#b26a00' : '#666';
+  sourceEl.style.display = 'block';
+}
+
+// Render the dropdown used to switch between clusters in a page
+function renderClusterSwitcher() {
+  const switcher = getVisualizerElement('cluster-switcher');
+  if (!switcher) return;
+  
+  switcher.innerHTML = '';
+  
+  const { clusters } = visualizerState;
+  if (clusters.length <= 1) {
+    switcher.style.display = 'none';
+    return;
+  }
+  
+  const label = document.createElement('label');
+  label.textContent = `Cluster (${clusters.length} in page): `;
+  
+  const select = document.createElement('select');
+  
+  clusters.forEach((cluster, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = `${cluster.id} (${cluster.nodes.length} members)`;
+    select.appendChild(option);
+  });
+  
+  const allOption = document.createElement('option');
+  allOption.value = -1;
+  allOption.textContent = `All clusters (${clusters.length})`;
+  select.appendChild(allOption);
+  
+  select.value = visualizerState.selectedIndex;
+  select.addEventListener('change', () => {
+    visualizerState.selectedIndex = parseInt(select.value, 10);
+    renderSelectedCluster();
+  });
+  
+  label.appendChild(select);
+  switcher.appendChild(label);
+  switcher.style.display = 'block';
+}
+
+// Combine a page of clusters into one graph, tagging nodes and edges with their cluster ID
+function mergeClusters(clusters) {
+  const seenNodeIds = new Set();
+  const nodes = [];
+  const edges = [];
+  
+  clusters.forEach(cluster => {
+    cluster.nodes.forEach(node => {
+      // A person should only belong to one cluster, but guard against duplicates
+      if (seenNodeIds.has(node.person_id)) return;
+      seenNodeIds.add(node.person_id);
+      nodes.push({ ...node, cluster_id: cluster.id });
+    });
+    
+    cluster.edges.forEach(edge => {
+      edges.push({ ...edge, cluster_id: cluster.id });
+    });
+  });
+  
+  return {
+    id: clusters.map(cluster => cluster.id).join(', '),
+    clusterIds: clusters.map(cluster => cluster.id),
+    nodes,
+    edges
+  };
+}
+
+// Compute one anchor point per cluster on a grid, so merged clusters lay out as separate components
+function layoutClusterAnchors(clusterIds, cellSize) {
+  const columns = Math.ceil(Math.sqrt(clusterIds.length));
+  const rows = Math.ceil(clusterIds.length / columns);
+  const anchors = new Map();
+  
+  clusterIds.forEach((clusterId, index) => {
+    anchors.set(clusterId, {
+      x: (index % columns + 0.5) * cellSize,
+      y: (Math.floor(index / columns) + 0.5) * cellSize
+    });
+  });
+  
+  return {
+    anchors,
+    width: columns * cellSize,
+    height: rows * cellSize
+  };
+}
+
+// Format a score for display, trimming long floats such as 0.90061516
+function formatScore(score) {
+  if (typeof score !== 'number') return 'n/a';
+  return Number.isInteger(score) ? String(score) : score.toFixed(2);
+}
+
+// Build the tooltip content for an edge: status, sub-statuses and a bar per vector score
+function buildEdgeTooltipContent(d) {
+  const content = document.createElement('div');
+  
+  const title = document.createElement('div');
+  title.className = 'edge-tooltip-title';
+  title.textContent = `${d.source.name || d.source.id} – ${d.target.name || d.target.id}`;
+  content.appendChild(title);
+  
+  const status = document.createElement('div');
+  status.textContent = `Status: ${d.status || 'UNKNOWN'}`;
+  content.appendChild(status);
+  
+  const subStatuses = document.createElement('div');
+  subStatuses.textContent = `Sub-statuses: ${d.subStatuses.length > 0 ? d.subStatuses.join(', ') : 'none'}`;
+  content.appendChild(subStatuses);
+  
+  const scoreEntries = Object.entries(d.scores);
+  if (scoreEntries.length > 0) {
+    const scoreList = document.createElement('div');
+    scoreList.className = 'score-list';
+    
+    // Scores are normally between 0 and 1, but scale bars to the largest one if not
+    const maxScore = Math.max(1, ...scoreEntries.map(([, score]) => score));
+    
+    scoreEntries.forEach(([key, score]) => {
+      const row = document.createElement('div');
+      row.className = 'score-row';
+      
+      const label = document.createElement('span');
+      label.className = 'score-label';
+      label.textContent = formatScoreLabel(key);
+      
+      const track = document.createElement('div');
+      track.className = 'score-track';
+      
+      const bar = document.createElement('div');
+      bar.className = 'score-bar';
+      bar.style.width = `${Math.max(0, score) / maxScore * 100}%`;
+      track.appendChild(bar);
+      
+      const value = document.createElement('span');
+      value.className = 'score-value';
+      value.textContent = formatScore(score);
+      
+      row.appendChild(label);
+      row.appendChild(track);
+      row.appendChild(value);
+      scoreList.appendChild(row);
+    });
+    
+    content.appendChild(scoreList);
+  }
+  
+  const vectorSum = document.createElement('div');
+  vectorSum.className = 'edge-tooltip-sum';
+  vectorSum.textContent = `Vector sum: ${formatScore(d.vectorSum)}`;
+  content.appendChild(vectorSum);
+  
+  return content;
+}
+
+// Colors assigned to unrecognised statuses, so each keeps its color for the whole session
+const unrecognizedStatusColors = new Map();
+
+// Check whether the extension has a configured color for a status
+function isKnownStatus(status) {
+  return Object.prototype.hasOwnProperty.call(config.statusColors, getStatusKey(status));
+}
+
+// Hash a string to a non-negative integer (djb2)
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+// Get the stroke color for an edge status
+// Unrecognised statuses get a palette color picked by hash, skipping colors already taken
+function getStatusColor(status) {
+  const statusKey = getStatusKey(status);
+  if (isKnownStatus(statusKey)) {
+    return config.statusColors[statusKey];
+  }
+  
+  if (!unrecognizedStatusColors.has(statusKey)) {
+    const palette = config.unrecognizedStatusPalette;
+    const takenColors = new Set(unrecognizedStatusColors.values());
+    const start = hashString(statusKey) % palette.length;
+    
+    let color = palette[start];
+    for (let i = 0; i < palette.length; i++) {
+      const candidate = palette[(start + i) % palette.length];
+      if (!takenColors.has(candidate)) {
+        color = candidate;
+        break;
+      }
+    }
+    
+    unrecognizedStatusColors.set(statusKey, color);
+  }
+  
+  return unrecognizedStatusColors.get(statusKey);
+}
+
+// Check whether a link passes the legend filters
+function isLinkVisible(d) {
+  if (visualizerState.hiddenStatuses.has(getStatusKey(d.status))) return false;
+  return !d.subStatuses.some(subStatus => visualizerState.hiddenSubStatuses.has(subStatus));
+}
+
+// Count links per status and per sub-status, in order of first appearance
+function countLinkStatuses(links) {
+  const statusCounts = new Map();
+  const subStatusCounts = new Map();
+  
+  links.forEach(d => {
+    const statusKey = getStatusKey(d.status);
+    statusCounts.set(statusKey, (statusCounts.get(statusKey) || 0) + 1);
+    d.subStatuses.forEach(subStatus => {
+      subStatusCounts.set(subStatus, (subStatusCounts.get(subStatus) || 0) + 1);
+    });
+  });
+  
+  return { statusCounts, subStatusCounts };
+}
+
+// Create a clickable legend entry that toggles a status or sub-status on and off
+// Statuses get a swatch filled with their color; sub-statuses, which have none, get an outlined one
+function createLegendItem(text, swatchColor, hiddenSet, key) {
+  const legendItem = document.createElement('div');
+  legendItem.className = 'legend-item';
+  legendItem.title = 'Click to hide or show these edges';
+  
+  const colorBox = document.createElement('div');
+  colorBox.className = swatchColor ? 'legend-swatch' : 'legend-swatch legend-swatch-outline';
+  if (swatchColor) {
+    colorBox.style.backgroundColor = swatchColor;
+  }
+  
+  const statusText = document.createElement('span');
+  statusText.className = 'legend-text';
+  statusText.textContent = text;
+  
+  const updateAppearance = () => {
+    legendItem.classList.toggle('legend-item-hidden', hiddenSet.has(key));
+  };
+  
+  legendItem.addEventListener('click', () => {
+    if (hiddenSet.has(key)) {
+      hiddenSet.delete(key);
+    } else {
+      hiddenSet.add(key);
+    }
+    updateAppearance();
+    applyEdgeFilters(true);
+    renderMatrixView();
+  });
+  
+  updateAppearance();
+  legendItem.appendChild(colorBox);
+  legendItem.appendChild(statusText);
+  return legendItem;
+}
+
+// Build the legend from the statuses and sub-statuses present in the rendered links
+function renderLegend(links) {
+  const legendContainer = getVisualizerElement('legend-container');
+  if (!legendContainer) return;
+  
+  legendContainer.innerHTML = '';
+  
+  const { statusCounts, subStatusCounts } = countLinkStatuses(links);
+  
+  const addSectionLabel = (text) => {
+    const label = document.createElement('span');
+    label.textContent = text;
+    label.className = 'legend-section-label';
+    legendContainer.appendChild(label);
+  };
+  
+  addSectionLabel('Status:');
+  statusCounts.forEach((count, status) => {
+    const legendItem = createLegendItem(
+      `${status} (${count})`,
+      getStatusColor(status),
+      visualizerState.hiddenStatuses,
+      status
+    );
+    
+    if (!isKnownStatus(status)) {
+      legendItem.title = 'Status not recognised by the extension. Click to hide or show these edges';
+      legendItem.lastChild.classList.add('legend-text-unrecognized');
+      legendItem.lastChild.textContent += ' ?';
+    }
+    
+    legendContainer.appendChild(legendItem);
+  });
+  
+  if (subStatusCounts.size > 0) {
+    // Start sub-statuses on their own row
+    const rowBreak = document.createElement('div');
+    rowBreak.className = 'legend-row-break';
+    legendContainer.appendChild(rowBreak);
+    
+    addSectionLabel('Sub-status:');
+    subStatusCounts.forEach((count, subStatus) => {
+      legendContainer.appendChild(createLegendItem(
+        `${subStatus} (${count})`,
+        null,
+        visualizerState.hiddenSubStatuses,
+        subStatus
+      ));
+    });
+  }
+}
+
+// Hide links filtered out in the legend and let the layout re-settle without them
+function applyEdgeFilters(reheat = false) {
+  const { graph } = visualizerState;
+  if (!graph) return;
+  
+  // Graphviz graphs leave hidden edges out of the DOT, so lay them out again
+  if (!graph.simulation) {
+    if (reheat) graph.rerender();
+    return;
+  }
+  
+  const display = d => isLinkVisible(d) ? null : 'none';
+  graph.link.style("display", display);
+  graph.linkHitArea.style("display", display);
+  graph.linkLabel.style("display", display);
+  graph.conflictHalo.style("display", display);
+  graph.selectionHalo.style("display", d => d.edgeIndex === visualizerState.selectedEdgeIndex && isLinkVisible(d) ? null : 'none');
+  
+  graph.simulation.force("link").links(graph.links.filter(isLinkVisible));
+  
+  if (reheat) {
+    graph.simulation.alpha(0.5).restart();
+  }
+}
+
+// List the transitivity conflicts in the side panel, emphasising a conflict's edges while it is hovered
+function renderConflictsPanel(conflicts, edges, nodes) {
+  const panel = getVisualizerElement('conflicts-panel');
+  if (!panel) return;
+  
+  panel.innerHTML = '';
+  if (conflicts.length === 0) return;
+  
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = `Conflicts (${conflicts.length})`;
+  panel.appendChild(title);
+  
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  // Members of a cluster often share a name, so always show the person ID too
+  const nameOf = personId => nodesById.has(personId) ? `${nodesById.get(personId).name} (${personId})` : personId;
+  
+  conflicts.forEach(conflict => {
+    const edge = edges[conflict.edgeIndex];
+    
+    const conflictItem = document.createElement('div');
+    conflictItem.className = 'panel-item conflict-item';
+    
+    const summary = document.createElement('div');
+    summary.textContent = `${nameOf(edge.lower_person_id)} – ${nameOf(edge.higher_person_id)} is ${getStatusKey(edge.status)}`;
+    conflictItem.appendChild(summary);
+    
+    const path = document.createElement('div');
+    path.className = 'muted';
+    path.textContent = `but DUPLICATE via ${conflict.path.map(nameOf).join(' → ')}`;
+    conflictItem.appendChild(path);
+    
+    const conflictEdgeIndices = new Set([conflict.edgeIndex, ...conflict.duplicateEdgeIndices]);
+    conflictItem.addEventListener('mouseenter', () => highlightConflictEdges(conflictEdgeIndices));
+    conflictItem.addEventListener('mouseleave', () => highlightConflictEdges(null));
+    
+    panel.appendChild(conflictItem);
+  });
+}
+
+// Emphasise the halos of one conflict's edges, or reset all halos when given null
+function highlightConflictEdges(edgeIndices) {
+  const { graph } = visualizerState;
+  if (!graph || !graph.conflictHalo) return;
+  
+  graph.conflictHalo.attr("stroke-opacity", d => {
+    if (!edgeIndices) return 0.6;
+    return edgeIndices.has(d.edgeIndex) ? 1 : 0.15;
+  });
+}
+
+// Get the node fill for a duplicate group
+function getDuplicateGroupColor(groupIndex) {
+  const palette = config.duplicateGroupPalette;
+  return palette[groupIndex % palette.length];
+}
+
+// List the duplicate groups in the side panel
+function renderDuplicateGroupsPanel(groups, nodes) {
+  const panel = getVisualizerElement('duplicate-groups-panel');
+  if (!panel) return;
+  
+  panel.innerHTML = '';
+  
+  const title = document.createElement('div');
+  title.className = 'panel-title';
+  title.textContent = `Duplicate groups (${groups.length})`;
+  panel.appendChild(title);
+  
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  
+  if (groups.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'muted panel-note';
+    empty.textContent = 'No members are linked by DUPLICATE edges.';
+    panel.appendChild(empty);
+  }
+  
+  groups.forEach((group, index) => {
+    const groupItem = document.createElement('div');
+    groupItem.className = 'panel-item';
+    groupItem.style.borderLeftColor = getDuplicateGroupColor(index);
+    
+    const groupTitle = document.createElement('div');
+    groupTitle.className = 'group-title';
+    groupTitle.textContent = `Group ${index + 1} – merges ${group.length} members`;
+    groupItem.appendChild(groupTitle);
+    
+    group.forEach(personId => {
+      const member = document.createElement('div');
+      const node = nodesById.get(personId);
+      member.textContent = `${node ? node.name : 'No name'} (${personId})`;
+      groupItem.appendChild(member);
+    });
+    
+    panel.appendChild(groupItem);
+  });
+  
+  const groupedCount = groups.reduce((count, group) => count + group.length, 0);
+  const separateCount = nodes.length - groupedCount;
+  if (separateCount > 0) {
+    const separate = document.createElement('div');
+    separate.className = 'muted';
+    separate.textContent = `${separateCount} member${separateCount === 1 ? '' : 's'} stay${separateCount === 1 ? 's' : ''} separate.`;
+    panel.appendChild(separate);
+  }
+}
+
+// Get the value of the score used for edge weights
+function getEdgeWeightValue(d, scoreKey) {
+  const value = scoreKey === 'vectorSum' ? d.vectorSum : d.scores[scoreKey];
+  return typeof value === 'number' ? value : null;
+}
+
+// Fill the edge weight dropdown with the scores present in the rendered links
+function renderEdgeWeightOptions(links) {
+  const select = getVisualizerElement('edge-weight-score');
+  if (!select) return;
+  
+  const scoreKeys = new Set();
+  links.forEach(d => Object.keys(d.scores).forEach(key => scoreKeys.add(key)));
+  
+  select.innerHTML = '';
+  [['', 'Off'], ['vectorSum', 'Vector sum'], ...Array.from(scoreKeys, key => [key, formatScoreLabel(key)])]
+    .forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+  
+  // Keep the selected score if this cluster has it, otherwise fall back to off
+  if (visualizerState.edgeWeightScore !== 'vectorSum' && !scoreKeys.has(visualizerState.edgeWeightScore)) {
+    visualizerState.edgeWeightScore = '';
+  }
+  select.value = visualizerState.edgeWeightScore;
+}
+
+// Build a function that maps a link's selected score to 0..1, or return null when edge weights are off
+// Scores are scaled within the cluster so the strongest and weakest links stand out from each other
+function getEdgeWeightScale(links, scoreKey) {
+  if (!scoreKey) return null;
+  
+  const values = links.map(d => getEdgeWeightValue(d, scoreKey)).filter(value => value !== null);
+  const [min, max] = values.length > 0 ? d3.extent(values) : [0, 0];
+  
+  return d => {
+    const value = getEdgeWeightValue(d, scoreKey);
+    if (value === null) return 0;
+    return max > min ? (value - min) / (max - min) : 1;
+  };
+}
+
+// Map the selected score to link stroke width, opacity and distance
+function applyEdgeWeights(reheat = false) {
+  const { graph, edgeWeightScore } = visualizerState;
+  if (!graph) return;
+  
+  // Graphviz graphs carry the weights in their DOT, so lay them out again
+  if (!graph.simulation) {
+    if (reheat) graph.rerender();
+    return;
+  }
+  
+  const linkForce = graph.simulation.force("link");
+  const normalize = getEdgeWeightScale(graph.links, edgeWeightScore);
+  
+  if (!normalize) {
+    graph.link.attr("stroke-width", 2).attr("stroke-opacity", 1);
+    linkForce.distance(200);
+  } else {
+    graph.link
+      .attr("stroke-width", d => 1 + normalize(d) * 7)
+      .attr("stroke-opacity", d => 0.25 + normalize(d) * 0.75);
+    
+    // High-confidence pairs sit closer together
+    linkForce.distance(d => 250 - normalize(d) * 170);
+  }
+  
+  if (reheat) {
+    graph.simulation.alpha(0.5).restart();
+  }
+}
+
+// Get the fill color of a member node, from the duplicate group it belongs to
+function getNodeFill(node) {
+  return node.duplicateGroup !== null ? getDuplicateGroupColor(node.duplicateGroup) : config.defaultNodeColor;
+}
+
+// Get the person ID at one end of a link, whether or not the force layout has resolved it to a node
+function getLinkEndId(end) {
+  return typeof end === 'object' ? end.id : end;
+}
+
+// Escape a value for use inside a double-quoted DOT string
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Generate DOT for a cluster, keeping the status colors, duplicate group fills and conflict highlights
+function buildClusterDot(nodes, links, conflictEdgeIndices) {
+  const normalize = getEdgeWeightScale(links, visualizerState.edgeWeightScore);
+  const lines = [
+    'graph cluster {',
+    '  graph [bgcolor="transparent", overlap=false, splines=true, pad=0.3];',
+    '  node [shape=circle, style=filled, fixedsize=true, width=1, fontname="Arial", fontsize=10, color="#333333", penwidth=1.5];',
+    '  edge [penwidth=2];'
+  ];
+  
+  nodes.forEach(node => {
+    if (node.active) {
+      lines.push(`  "${escapeDot(node.id)}" [label="${escapeDot(node.name)}\\n${escapeDot(node.id)}", fillcolor="${getNodeFill(node)}", tooltip="${escapeDot(`${node.name} (${node.id})`)}"];`);
+    } else {
+      // Mute inactive members through the fill's alpha channel and dash their outline
+      const fill = getNodeFill(node) + Math.round(config.inactiveNodeOpacity * 255).toString(16).padStart(2, '0');
+      lines.push(`  "${escapeDot(node.id)}" [label="${escapeDot(node.name)}\\n${escapeDot(node.id)}\\ninactive", fillcolor="${fill}", style="filled,dashed", color="${config.inactiveNodeStroke}", fontcolor="#666666", tooltip="${escapeDot(`${node.name} (${node.id}), inactive`)}"];`);
+    }
+  });
+  
+  links.filter(isLinkVisible).forEach(d => {
+    const weight = normalize ? normalize(d) : null;
+    
+    // Fade weak links through the color's alpha channel
+    const statusColor = getStatusColor(d.status) + (weight !== null ? Math.round((0.25 + weight * 0.75) * 255).toString(16).padStart(2, '0') : '');
+    const color = conflictEdgeIndices.has(d.edgeIndex)
+      ? `${config.conflictHighlightColor}:${statusColor}:${config.conflictHighlightColor}`
+      : statusColor;
+    
+    const tooltip = [
+      `Status: ${d.status || 'UNKNOWN'}`,
+      `Sub-statuses: ${d.subStatuses.length > 0 ? d.subStatuses.join(', ') : 'none'}`,
+      ...Object.entries(d.scores).map(([key, score]) => `${formatScoreLabel(key)}: ${formatScore(score)}`),
+      `Vector sum: ${formatScore(d.vectorSum)}`
+    ].join('\n');
+    
+    const attributes = [`color="${color}"`, `tooltip="${escapeDot(tooltip)}"`];
+    if (weight !== null) {
+      // penwidth draws strong links thicker; len (neato, fdp) and weight (dot) pull them closer
+      attributes.push(`penwidth=${(1 + weight * 7).toFixed(2)}`);
+      attributes.push(`len=${((250 - weight * 170) / 72).toFixed(2)}`);
+      attributes.push(`weight=${1 + Math.round(weight * 9)}`);
+    }
+    if (d.edgeIndex === visualizerState.selectedEdgeIndex) {
+      // Later attributes win, so this overrides the weighted pen width
+      attributes.push('penwidth=6', 'style=bold');
+    }
+    if (visualizerState.showEdgeLabels) {
+      attributes.push(`label="${formatScore(d.vectorSum)}"`, 'fontsize=9', 'fontname="Arial"');
+    }
+    
+    lines.push(`  "${escapeDot(getLinkEndId(d.source))}" -- "${escapeDot(getLinkEndId(d.target))}" [${attributes.join(', ')}];`);
+  });
+  
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Point @hpcc-js/wasm at the bundled graphvizlib.wasm, which it can't locate from a content script
+let graphvizWasmConfigured = false;
+function configureGraphvizWasm() {
+  const hpccWasm = window['@hpcc-js/wasm'];
+  if (!hpccWasm || graphvizWasmConfigured) return;
+  
+  hpccWasm.wasmFolder(chrome.runtime.getURL('assets/lib'));
+  graphvizWasmConfigured = true;
+}
+
+// Lay out and draw a cluster with the selected Graphviz engine
+function renderGraphvizGraph(graphContainer, nodes, links, conflictEdgeIndices) {
+  if (!d3.selection.prototype.graphviz) {
+    throw new Error('d3-graphviz library not loaded');
+  }
+  
+  configureGraphvizWasm();
+  
+  const engine = visualizerState.layout;
+  const target = document.createElement('div');
+  graphContainer.appendChild(target);
+  
+  const graphviz = d3.select(target)
+    .graphviz({ useWorker: false, width: visualizerState.graphSize.width, height: visualizerState.graphSize.height, fit: true, zoomScaleExtent: [0.1, 8] })
+    .engine(engine)
+    .onerror(error => setStatus(`Error running Graphviz ${engine}: ${error}`, true));
+  
+  // The wasm module fails silently if it can't be loaded, so give up after a while
+  let rendered = false;
+  setTimeout(() => {
+    if (!rendered && visualizerState.graph && visualizerState.graph.rerender === render) {
+      setStatus(`Error: Graphviz ${engine} layout did not finish, the layout engine may have failed to load`, true);
+    }
+  }, 15000);
+  
+  function render() {
+    graphviz.renderDot(buildClusterDot(nodes, links, conflictEdgeIndices), () => {
+      rendered = true;
+      highlightSearchMatches();
+      
+      d3.select(target).selectAll('g.node')
+        .style('cursor', 'pointer')
+        .on('click', function () {
+          selectMember(getTitle(this));
+        });
+      
+      // Graphviz can't load images here, so draw the artwork thumbnails over its nodes
+      const artworkById = new Map(nodes.filter(node => node.artwork).map(node => [node.id, node.artwork]));
+      d3.select(target).selectAll('g.node').each(function () {
+        const artwork = artworkById.get(getTitle(this));
+        const ellipse = d3.select(this).select('ellipse');
+        if (!artwork || ellipse.empty()) return;
+        
+        d3.select(this).append('image')
+          .attr('href', artwork)
+          .attr('x', Number(ellipse.attr('cx')) - 12)
+          .attr('y', Number(ellipse.attr('cy')) - 34)
+          .attr('width', 24)
+          .attr('height', 24)
+          .attr('preserveAspectRatio', 'xMidYMid slice')
+          .style('clip-path', 'circle(50%)')
+          .style('pointer-events', 'none');
+      });
+    });
+  }
+  
+  // Graphviz puts each node's and edge's DOT name in its title
+  const getTitle = element => d3.select(element).select('title').text();
+  
+  // Dim members outside the search matches, and the edges not between two matches
+  function highlightNodes(matchedIds, focusedId) {
+    const isDimmed = id => matchedIds !== null && !matchedIds.has(id);
+    
+    d3.select(target).selectAll('g.node').each(function () {
+      const id = getTitle(this);
+      d3.select(this).style('opacity', isDimmed(id) ? 0.2 : null);
+      // Styles override the outline Graphviz drew, and clearing them brings it back
+      const isMatch = matchedIds !== null && !isDimmed(id);
+      d3.select(this).select('ellipse')
+        .style('stroke', isMatch ? config.searchHighlightColor : null)
+        .style('stroke-width', isMatch ? (id === focusedId ? 6 : 3) : null);
+    });
+    d3.select(target).selectAll('g.edge').each(function () {
+      const [sourceId, targetId] = getTitle(this).split('--');
+      d3.select(this).style('opacity', isDimmed(sourceId) || isDimmed(targetId) ? 0.15 : null);
+    });
+  }
+  
+  // Zoom in on a member, keeping the current zoom if it is already closer
+  function focusNode(personId) {
+    const nodeGroup = d3.select(target).selectAll('g.node').filter(function () {
+      return getTitle(this) === personId;
+    });
+    const ellipse = nodeGroup.select('ellipse');
+    if (ellipse.empty()) return;
+    
+    // Node coordinates are in the graph group's space, which the zoom transform maps onto the SVG's viewBox
+    const svg = graphviz.zoomSelection();
+    const viewBox = svg.node().viewBox.baseVal;
+    const scale = Math.max(d3.zoomTransform(svg.node()).k, 1.5);
+    const x = Number(ellipse.attr('cx'));
+    const y = Number(ellipse.attr('cy'));
+    
+    svg.transition()
+      .duration(500)
+      .call(graphviz.zoomBehavior().transform, d3.zoomIdentity
+        .translate(viewBox.x + viewBox.width / 2, viewBox.y + viewBox.height / 2)
+        .scale(scale)
+        .translate(-x, -y));
+  }
+  
+  // Lay out again at the new size once the panel stops resizing
+  let resizeTimeout = null;
+  function resize(width, height) {
+    graphviz.width(width).height(height);
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(render, 200);
+  }
+  
+  render();
+  visualizerState.graph = { links, nodes, rerender: render, resize, highlightNodes, focusNode };
+}
+
+// Show the graph or the matrix view of the rendered cluster
+function setViewMode(view) {
+  visualizerState.view = view;
+  
+  const viewSelect = getVisualizerElement('view-mode');
+  if (viewSelect) viewSelect.value = view;
+  
+  const orderOption = getVisualizerElement('matrix-order-option');
+  if (orderOption) orderOption.style.display = view === 'matrix' ? 'inline' : 'none';
+  
+  // Only switch containers once a cluster has been rendered
+  if (!visualizerState.matrix) return;
+  
+  getVisualizerElement('graph-container').style.display = view === 'graph' ? 'block' : 'none';
+  getVisualizerElement('matrix-container').style.display = view === 'matrix' ? 'block' : 'none';
+}
+
+// Order matrix members by duplicate group (ungrouped last) or by name, breaking ties by person ID
+function orderMatrixNodes(nodes, order) {
+  const byName = (a, b) => a.name.localeCompare(b.name) || String(a.id).localeCompare(String(b.id));
+  
+  return nodes.slice().sort((a, b) => {
+    if (order === 'group') {
+      const groupA = a.duplicateGroup === null ? Infinity : a.duplicateGroup;
+      const groupB = b.duplicateGroup === null ? Infinity : b.duplicateGroup;
+      if (groupA !== groupB) return groupA - groupB;
+    }
+    return byName(a, b);
+  });
+}
+
+// Draw the adjacency matrix: one row and column per member, cells colored by status and shaded by score
+function renderMatrixView() {
+  const matrixContainer = getVisualizerElement('matrix-container');
+  const { matrix } = visualizerState;
+  if (!matrixContainer || !matrix) return;
+  
+  matrixContainer.innerHTML = '';
+  
+  const orderedNodes = orderMatrixNodes(matrix.nodes, visualizerState.matrixOrder);
+  const indexById = new Map(orderedNodes.map((node, index) => [node.id, index]));
+  
+  const labelWidth = 140;
+  const { width, height } = visualizerState.graphSize;
+  const cellSize = Math.max(12, Math.min(30, Math.floor((Math.min(width, height) - labelWidth - 20) / orderedNodes.length)));
+  const size = labelWidth + orderedNodes.length * cellSize;
+  
+  // Shade by the edge weight score if one is picked, otherwise by vector sum
+  const shade = getEdgeWeightScale(matrix.links, visualizerState.edgeWeightScore || 'vectorSum');
+  
+  // Cells for both directions, so the matrix is symmetric
+  const cells = [];
+  matrix.links.filter(isLinkVisible).forEach(d => {
+    const row = indexById.get(getLinkEndId(d.source));
+    const column = indexById.get(getLinkEndId(d.target));
+    cells.push({ row, column, link: d }, { row: column, column: row, link: d });
+  });
+  
+  const svg = d3.select(matrixContainer)
+    .append("svg")
+    .attr("width", size)
+    .attr("height", size);
+  
+  const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  
+  // Row labels on the left, column labels rotated along the top
+  svg.append("g")
+    .selectAll("text")
+    .data(orderedNodes)
+    .join("text")
+    .attr("x", labelWidth - 4)
+    .attr("y", (d, i) => labelWidth + i * cellSize + cellSize / 2)
+    .attr("dy", "0.35em")
+    .attr("text-anchor", "end")
+    .attr("font-size", "10px")
+    .attr("fill", "#333333")
+    .text(d => truncate(`${d.name} (${d.id})`, 24));
+  
+  svg.append("g")
+    .selectAll("text")
+    .data(orderedNodes)
+    .join("text")
+    .attr("transform", (d, i) => `translate(${labelWidth + i * cellSize + cellSize / 2},${labelWidth - 4}) rotate(-60)`)
+    .attr("dy", "0.35em")
+    .attr("font-size", "10px")
+    .attr("fill", "#333333")
+    .text(d => truncate(`${d.name} (${d.id})`, 24));
+  
+  // Background grid, with duplicate group colors on the diagonal
+  svg.append("g")
+    .selectAll("rect")
+    .data(orderedNodes.flatMap((rowNode, row) => orderedNodes.map((columnNode, column) => ({ row, column, node: rowNode }))))
+    .join("rect")
+    .attr("x", d => labelWidth + d.column * cellSize)
+    .attr("y", d => labelWidth + d.row * cellSize)
+    .attr("width", cellSize)
+    .attr("height", cellSize)
+    .attr("fill", d => {
+      if (d.row !== d.column) return "#ffffff";
+      return d.node.duplicateGroup !== null ? getDuplicateGroupColor(d.node.duplicateGroup) : "#eeeeee";
+    })
+    .attr("stroke", "#eeeeee");
+  
+  svg.append("g")
+    .selectAll("rect")
+    .data(cells)
+    .join("rect")
+    .attr("x", d => labelWidth + d.column * cellSize + 1)
+    .attr("y", d => labelWidth + d.row * cellSize + 1)
+    .attr("width", cellSize - 2)
+    .attr("height", cellSize - 2)
+    .attr("fill", d => getStatusColor(d.link.status))
+    .attr("fill-opacity", d => 0.25 + shade(d.link) * 0.75)
+    .attr("stroke", d => d.link.edgeIndex === visualizerState.selectedEdgeIndex ? "#000000" : "none")
+    .attr("stroke-width", 2)
+    .style("cursor", "pointer")
+    .on("click", (event, d) => selectEdge(d.link.edgeIndex))
+    .append("title")
+    .text(d => `${getStatusKey(d.link.status)} – vector sum ${formatScore(d.link.vectorSum)}\nClick to show this edge in the graph`);
+}
+
+// Select an edge and show it in the graph view
+function selectEdge(edgeIndex) {
+  visualizerState.selectedEdgeIndex = edgeIndex;
+  setViewMode('graph');
+  highlightSelectedEdge();
+  renderMatrixView();
+}
+
+// Outline the selected edge and its members in the graph
+function highlightSelectedEdge() {
+  const { graph, selectedEdgeIndex } = visualizerState;
+  if (!graph) return;
+  
+  // Graphviz graphs mark the selected edge in their DOT
+  if (!graph.simulation) {
+    graph.rerender();
+    return;
+  }
+  
+  const selectedLink = graph.links.find(d => d.edgeIndex === selectedEdgeIndex);
+  graph.selectionHalo.style("display", d => d === selectedLink && isLinkVisible(d) ? null : "none");
+  graph.node.select(".node-circle")
+    .attr("stroke-width", d => selectedLink && (d === selectedLink.source || d === selectedLink.target) ? 4 : 1.5);
+}
+
+// Score how well a query fuzzy-matches some text, or null if it doesn't
+// Exact matches beat prefixes, prefixes beat substrings, and substrings beat scattered letters
+function fuzzyMatchScore(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = String(text || '').toLowerCase();
+  if (!needle || !haystack) return null;
+  
+  if (haystack === needle) return 3000;
+  
+  const index = haystack.indexOf(needle);
+  if (index === 0) return 2000;
+  if (index > 0) return 1000 - Math.min(index, 999);
+  
+  // Every query letter must appear in order; fewer skipped letters score higher
+  let position = 0;
+  let gaps = 0;
+  for (const char of needle) {
+    const found = haystack.indexOf(char, position);
+    if (found === -1) return null;
+    gaps += found - position;
+    position = found + 1;
+  }
+  
+  return Math.max(1, 500 - gaps);
+}
+
+// Find the members matching a search query by name or person ID, best match first
+function findMemberMatches(query, nodes) {
+  return nodes
+    .map(node => ({
+      id: node.id,
+      name: node.name || '',
+      score: Math.max(fuzzyMatchScore(query, node.name) || 0, fuzzyMatchScore(query, node.id) || 0)
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .map(match => match.id);
+}
+
+// Search the rendered members, highlighting the matches and, unless told not to, zooming to the best one
+function searchMembers(query, focus = true) {
+  const { graph } = visualizerState;
+  const trimmed = query.trim();
+  const matches = trimmed && graph ? findMemberMatches(trimmed, graph.nodes) : [];
+  
+  visualizerState.search = { query: trimmed, matches, index: matches.length > 0 ? 0 : -1 };
+  highlightSearchMatches();
+  if (focus) {
+    focusSearchMatch();
+  }
+}
+
+// Move to the next (1) or previous (-1) search match and zoom to it
+function stepSearchMatch(step) {
+  const { search } = visualizerState;
+  if (search.matches.length === 0) return;
+  
+  search.index = (search.index + step + search.matches.length) % search.matches.length;
+  highlightSearchMatches();
+  focusSearchMatch();
+}
+
+// Zoom the graph to the focused search match
+function focusSearchMatch() {
+  const { graph, search } = visualizerState;
+  if (!graph || search.index === -1) return;
+  
+  setViewMode('graph');
+  graph.focusNode(search.matches[search.index]);
+}
+
+// Dim everything but the search matches, ring the matches and show the match count
+function highlightSearchMatches() {
+  const { graph, search } = visualizerState;
+  
+  const countEl = getVisualizerElement('member-search-count');
+  if (countEl) {
+    if (!search.query) {
+      countEl.textContent = '';
+    } else if (search.matches.length === 0) {
+      countEl.textContent = 'No matches';
+    } else {
+      countEl.textContent = `${search.index + 1} of ${search.matches.length}`;
+    }
+  }
+  
+  if (!graph) return;
+  
+  const matched = new Set(search.matches);
+  const focusedId = search.index === -1 ? null : search.matches[search.index];
+  graph.highlightNodes(search.query ? matched : null, focusedId);
+}
+
+// Show a member's details in the side panel
+function selectMember(personId) {
+  visualizerState.selectedMemberId = personId;
+  renderMemberDetailsPanel();
+}
+
+// Flatten a raw member into [field, value] rows, with nested fields as dotted paths
+// The person fields come first, unprefixed, followed by any fields on the member itself
+function flattenMemberFields(member) {
+  const rows = [];
+  
+  const addFields = (value, path) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, child]) => addFields(child, path ? `${path}.${key}` : key));
+    } else {
+      rows.push([path, Array.isArray(value) ? JSON.stringify(value) : String(value)]);
+    }
+  };
+  
+  if (member) {
+    const { node, ...memberFields } = member;
+    addFields(node, '');
+    Object.entries(memberFields).forEach(([key, value]) => addFields(value, `member.${key}`));
+  }
+  
+  return rows;
+}
+
+// Get the Data Mechanic origin to link a member to: the page's own, or on the viewer the origin its cluster was captured from
+function getDataMechanicOrigin(personId) {
+  if (!isViewerPage) return window.location.origin;
+  
+  for (const cluster of visualizerState.clusters) {
+    if (!cluster.nodes.some(node => node.person_id === personId)) continue;
+    
+    // Imported clusters keep the source they were exported with
+    const source = cluster.source && cluster.source.type === 'imported' ? cluster.source.original : cluster.source;
+    if (!source || !source.url) continue;
+    
+    try {
+      const { origin, protocol } = new URL(source.url);
+      if (protocol === 'https:' || protocol === 'http:') return origin;
+    } catch (e) {
+      debugLog('Ignoring unparsable source URL:', source.url);
+    }
+  }
+  
+  return null;
+}
+
+// Fill the details panel for the selected member: its fields, its edges and a link to its Data Mechanic page
+function renderMemberDetailsPanel() {
+  const panel = getVisualizerElement('member-details-panel');
+  if (!panel) return;
+  
+  panel.innerHTML = '';
+  
+  const { graph, selectedMemberId } = visualizerState;
+  const node = graph && graph.nodes.find(n => n.id === selectedMemberId);
+  if (!node) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  
+  const header = document.createElement('div');
+  header.className = 'member-details-header';
+  
+  const title = document.createElement('span');
+  title.textContent = `${node.name} (${node.id})${node.active ? '' : ' – inactive'}`;
+  header.appendChild(title);
+  
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '✖';
+  closeButton.title = 'Close';
+  closeButton.className = 'icon-button';
+  closeButton.addEventListener('click', () => selectMember(null));
+  header.appendChild(closeButton);
+  
+  panel.appendChild(header);
+  
+  // The viewer has no Data Mechanic origin of its own; without a captured one the link is left out
+  const origin = getDataMechanicOrigin(node.id);
+  if (origin) {
+    const link = document.createElement('a');
+    link.href = `${origin}${config.personPagePath}${encodeURIComponent(node.id)}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = 'Open in Data Mechanic';
+    link.className = 'member-link';
+    panel.appendChild(link);
+  }
+  
+  // Every field the query returned for the member
+  const fieldsTitle = document.createElement('div');
+  fieldsTitle.className = 'details-section-title';
+  fieldsTitle.textContent = 'Fields';
+  panel.appendChild(fieldsTitle);
+  
+  const fields = flattenMemberFields(node.member);
+  if (fields.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'muted';
+    empty.textContent = 'No member fields were captured.';
+    panel.appendChild(empty);
+  }
+  fields.forEach(([key, value]) => {
+    const row = document.createElement('div');
+    row.className = 'field-row';
+    
+    const label = document.createElement('span');
+    label.className = 'field-label';
+    label.textContent = `${key}:`;
+    
+    const text = document.createElement('span');
+    text.textContent = value === '' ? '(empty)' : value;
+    
+    row.appendChild(label);
+    row.appendChild(text);
+    panel.appendChild(row);
+  });
+  
+  // The member's edges, each selectable in the graph
+  const incidentLinks = graph.links.filter(d => getLinkEndId(d.source) === node.id || getLinkEndId(d.target) === node.id);
+  
+  const edgesTitle = document.createElement('div');
+  edgesTitle.className = 'details-section-title';
+  edgesTitle.textContent = `Edges (${incidentLinks.length})`;
+  panel.appendChild(edgesTitle);
+  
+  const nodesById = new Map(graph.nodes.map(n => [n.id, n]));
+  incidentLinks.forEach(d => {
+    const otherId = getLinkEndId(d.source) === node.id ? getLinkEndId(d.target) : getLinkEndId(d.source);
+    const other = nodesById.get(otherId);
+    
+    const edgeItem = document.createElement('div');
+    edgeItem.className = 'member-edge-item';
+    edgeItem.style.borderLeftColor = getStatusColor(d.status);
+    edgeItem.title = 'Select this edge in the graph';
+    edgeItem.addEventListener('click', () => selectEdge(d.edgeIndex));
+    
+    const edgeTitle = document.createElement('div');
+    edgeTitle.textContent = `${other ? other.name : 'No name'} (${otherId})`;
+    edgeItem.appendChild(edgeTitle);
+    
+    const status = document.createElement('div');
+    status.className = 'muted';
+    status.textContent = `${d.status || 'UNKNOWN'}${d.subStatuses.length > 0 ? ` – ${d.subStatuses.join(', ')}` : ''}`;
+    edgeItem.appendChild(status);
+    
+    const scores = document.createElement('div');
+    scores.className = 'muted';
+    scores.textContent = [
+      ...Object.entries(d.scores).map(([key, score]) => `${formatScoreLabel(key)} ${formatScore(score)}`),
+      `Sum ${formatScore(d.vectorSum)}`
+    ].join(', ');
+    edgeItem.appendChild(scores);
+    
+    panel.appendChild(edgeItem);
+  });
+}
+
+// Get the base file name for exports of the rendered cluster
+function getExportFileName() {
+  const { clusters, selectedIndex } = visualizerState;
+  if (selectedIndex === -1) {
+    return `clusters-${clusters.map(cluster => cluster.id).join('-')}`;
+  }
+  return `cluster-${clusters[selectedIndex].id}`;
+}
+
+// Build a standalone SVG of the graph at its current layout and zoom, with its styles and a legend of the shown edges
+// Returns the serialized SVG and its size, or null if no graph is rendered
+function buildExportSvg() {
+  const { graph, graphSize } = visualizerState;
+  const graphContainer = getVisualizerElement('graph-container');
+  const graphSvg = graphContainer && graphContainer.querySelector('svg');
+  if (!graph || !graphSvg) return null;
+  
+  const { width, height } = graphSize;
+  const { statusCounts, subStatusCounts } = countLinkStatuses(graph.links.filter(isLinkVisible));
+  const legendItems = [
+    ...Array.from(statusCounts, ([status, count]) => ({ text: `${status} (${count})`, color: getStatusColor(status) })),
+    ...Array.from(subStatusCounts, ([subStatus, count]) => ({ text: `${subStatus} (${count})`, color: null }))
+  ];
+  
+  // Flow the legend items into rows under the graph, estimating the text width from its length
+  const padding = 10;
+  const rowHeight = 20;
+  let x = padding;
+  let row = 0;
+  legendItems.forEach(item => {
+    const itemWidth = 20 + item.text.length * 7 + 15;
+    if (x > padding && x + itemWidth > width - padding) {
+      x = padding;
+      row++;
+    }
+    item.x = x;
+    item.y = height + padding + row * rowHeight;
+    x += itemWidth;
+  });
+  const totalHeight = height + (legendItems.length > 0 ? 2 * padding + (row + 1) * rowHeight : 0);
+  
+  const svg = d3.create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", totalHeight)
+    .attr("viewBox", [0, 0, width, totalHeight])
+    .attr("font-family", "Arial, sans-serif");
+  
+  svg.append("style").text(getGraphStyles(':root'));
+  svg.append("rect")
+    .attr("width", width)
+    .attr("height", totalHeight)
+    .attr("fill", "#ffffff");
+  
+  // The copy keeps the zoom transform and node positions; the nested SVG clips it to the visible area
+  const graphCopy = graphSvg.cloneNode(true);
+  graphCopy.setAttribute("x", 0);
+  graphCopy.setAttribute("y", 0);
+  graphCopy.setAttribute("width", width);
+  graphCopy.setAttribute("height", height);
+  svg.append(() => graphCopy);
+  
+  const legend = svg.append("g")
+    .selectAll("g")
+    .data(legendItems)
+    .join("g")
+    .attr("transform", d => `translate(${d.x},${d.y})`);
+  
+  legend.append("rect")
+    .attr("width", 15)
+    .attr("height", 15)
+    .attr("fill", d => d.color || "none")
+    .attr("stroke", d => d.color ? "none" : "#666666")
+    .attr("stroke-width", 2);
+  
+  legend.append("text")
+    .attr("x", 20)
+    .attr("y", 12)
+    .attr("font-size", "12px")
+    .attr("fill", "#333333")
+    .text(d => d.text);
+  
+  return {
+    svg: new XMLSerializer().serializeToString(svg.node()),
+    width,
+    height: totalHeight
+  };
+}
+
+// Fetch an image through the background page as a data: URL, or null when it can't be loaded
+function getImageDataUrl(url) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({ action: 'getImageDataUrl', url }, response => {
+      resolve(!chrome.runtime.lastError && response && response.dataUrl ? response.dataUrl : null);
+    });
+  });
+}
+
+// Inline the member artwork of an exported SVG as data: URLs, since an SVG drawn through an <img> loads no external images
+// Artwork that can't be loaded is left out, leaving the member's plain circle
+function inlineSvgImages(exported) {
+  const doc = new DOMParser().parseFromString(exported.svg, 'image/svg+xml');
+  const images = Array.from(doc.querySelectorAll('image'))
+    .filter(image => !(image.getAttribute('href') || '').startsWith('data:'));
+  if (images.length === 0) return Promise.resolve(exported);
+  
+  const urls = Array.from(new Set(images.map(image => image.getAttribute('href'))));
+  return Promise.all(urls.map(url => url ? getImageDataUrl(url) : null)).then(dataUrls => {
+    const dataUrlByUrl = new Map(urls.map((url, i) => [url, dataUrls[i]]));
+    images.forEach(image => {
+      const dataUrl = dataUrlByUrl.get(image.getAttribute('href'));
+      if (dataUrl) {
+        image.setAttribute('href', dataUrl);
+      } else {
+        image.remove();
+      }
+    });
+    
+    return { ...exported, svg: new XMLSerializer().serializeToString(doc) };
+  });
+}
+
+// Draw an exported SVG onto a canvas at a multiple of its size, so the PNG stays sharp on high-DPI screens
+function renderSvgToPng({ svg, width, height }) {
+  return new Promise((resolve, reject) => {
+    const scale = Math.max(2, window.devicePixelRatio || 1);
+    const image = new Image();
+    
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('the canvas could not be encoded as PNG'));
+        }
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('the SVG could not be drawn'));
+    
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+// Save a blob as a file through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export the graph as shown: 'svg' and 'png' save a file, 'png-clipboard' copies the PNG
+function exportGraph(format) {
+  if (!format) return;
+  
+  const exported = buildExportSvg();
+  if (!exported) {
+    setStatus('Error: There is no graph to export', true);
+    return;
+  }
+  
+  const fileName = getExportFileName();
+  
+  if (format === 'svg') {
+    downloadBlob(new Blob([exported.svg], { type: 'image/svg+xml' }), `${fileName}.svg`);
+    setStatus(`Exported ${fileName}.svg`);
+    return;
+  }
+  
+  const png = inlineSvgImages(exported).then(renderSvgToPng);
+  
+  if (format === 'png-clipboard') {
+    // Hand the clipboard a pending blob, so the write still counts as part of the click
+    navigator.clipboard.write([new ClipboardItem({ 'image/png': png })])
+      .then(() => setStatus('Copied the graph to the clipboard as PNG'))
+      .catch(error => setStatus(`Error copying the graph: ${error.message}`, true));
     return;
   }
+  
+  png
+    .then(blob => {
+      downloadBlob(blob, `${fileName}.png`);
+      setStatus(`Exported ${fileName}.png`);
+    })
+    .catch(error => setStatus(`Error exporting the graph: ${error.message}`, true));
+}
 
-  debugLog('Fetching cluster data for ID:', clusterId);
-  setStatus(`Fetching cluster data for ID: ${clusterId}...`, false);
+// Get the clusters currently shown: the selected one, or every cluster in the page
+function getShownClusters() {
+  const { clusters, selectedIndex } = visualizerState;
+  return selectedIndex === -1 ? clusters : [clusters[selectedIndex]];
+}
+
+// Reduce a cluster to the fields worth exchanging: no raw member objects or display-only edge fields
+function normalizeClusterForExport(cluster) {
+  return {
+    id: cluster.id,
+    ...(cluster.source ? { source: cluster.source } : {}),
+    nodes: cluster.nodes.map(node => ({
+      person_id: node.person_id,
+      name: node.name,
+      active: node.active !== false,
+      display_artwork: node.display_artwork || null,
+      ...(node.cluster_id !== undefined ? { cluster_id: node.cluster_id } : {})
+    })),
+    edges: cluster.edges.map(edge => ({
+      edge_id: edge.edge_id,
+      lower_person_id: edge.lower_person_id,
+      higher_person_id: edge.higher_person_id,
+      status: edge.status,
+      sub_statuses: edge.sub_statuses || [],
+      scores: edge.scores || {},
+      vector_sum: edge.vector_sum,
+      ...(edge.cluster_id !== undefined ? { cluster_id: edge.cluster_id } : {})
+    }))
+  };
+}
+
+// Get the shown clusters as one graph; several clusters are merged and their nodes and edges tagged with cluster_id
+function getExportGraph() {
+  const clusters = getShownClusters();
+  const graph = clusters.length === 1 ? clusters[0] : mergeClusters(clusters);
+  return { ...normalizeClusterForExport(graph), merged: clusters.length > 1 };
+}
+
+// Get every score key used by the edges, in order of first appearance
+function getScoreKeys(edges) {
+  const keys = new Set();
+  edges.forEach(edge => Object.keys(edge.scores).forEach(key => keys.add(key)));
+  return Array.from(keys);
+}
+
+// Escape a value for XML text and attributes
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Get the exported node fields as [name, type, getter] rows
+function getNodeFields(merged) {
+  return [
+    ['name', 'string', node => node.name],
+    ['active', 'boolean', node => node.active],
+    ['display_artwork', 'string', node => node.display_artwork],
+    ...(merged ? [['cluster_id', 'string', node => node.cluster_id]] : [])
+  ];
+}
+
+// Get the exported edge fields as [name, type, getter] rows, with one row per score
+function getEdgeFields(scoreKeys, merged) {
+  return [
+    ['edge_id', 'string', edge => edge.edge_id],
+    ['status', 'string', edge => edge.status],
+    ['sub_statuses', 'string', edge => edge.sub_statuses.join(';')],
+    ['vector_sum', 'double', edge => edge.vector_sum],
+    ...scoreKeys.map(key => [key, 'double', edge => edge.scores[key]]),
+    ...(merged ? [['cluster_id', 'string', edge => edge.cluster_id]] : [])
+  ];
+}
+
+// Get an item's values for the given fields as [name, type, value] rows, leaving out unknown values
+function getFieldValues(fields, item) {
+  return fields
+    .map(([name, type, get]) => [name, type, get(item)])
+    .filter(([, , value]) => value !== null && value !== undefined);
+}
+
+// Serialize a graph as GraphML
+function buildGraphML(graph) {
+  const nodeFields = getNodeFields(graph.merged);
+  const edgeFields = getEdgeFields(getScoreKeys(graph.edges), graph.merged);
   
-  // Clear any existing visualization first to prevent showing the old cluster
-  const graphContainer = document.getElementById('graph-container');
-  if (graphContainer) {
-    graphContainer.style.display = 'none';
-    graphContainer.innerHTML = '';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...nodeFields.map(([name, type]) => `  <key id="n_${escapeXml(name)}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    ...edgeFields.map(([name, type]) => `  <key id="e_${escapeXml(name)}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    `  <graph id="${escapeXml(`cluster ${graph.id}`)}" edgedefault="undirected">`
+  ];
+  
+  graph.nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.person_id)}">`);
+    getFieldValues(nodeFields, node).forEach(([name, , value]) => {
+      lines.push(`      <data key="n_${escapeXml(name)}">${escapeXml(value)}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.lower_person_id)}" target="${escapeXml(edge.higher_person_id)}">`);
+    getFieldValues(edgeFields, edge).forEach(([name, , value]) => {
+      lines.push(`      <data key="e_${escapeXml(name)}">${escapeXml(value)}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+  
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+// Serialize a graph as GEXF, weighting edges by their vector sum
+function buildGexf(graph) {
+  // GEXF has its own label for the name
+  const nodeFields = getNodeFields(graph.merged).filter(([name]) => name !== 'name');
+  const edgeFields = getEdgeFields(getScoreKeys(graph.edges), graph.merged);
+  
+  const attributeValues = (attributes, indent) => {
+    if (attributes.length === 0) return [];
+    return [
+      `${indent}<attvalues>`,
+      ...attributes.map(([name, , value]) => `${indent}  <attvalue for="${escapeXml(name)}" value="${escapeXml(value)}"/>`),
+      `${indent}</attvalues>`
+    ];
+  };
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>GraphQL Cluster Visualizer</creator>',
+    `    <description>${escapeXml(`Deduplication cluster ${graph.id}`)}</description>`,
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node">',
+    ...nodeFields.map(([name, type]) => `      <attribute id="${escapeXml(name)}" title="${escapeXml(name)}" type="${type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeFields.map(([name, type]) => `      <attribute id="${escapeXml(name)}" title="${escapeXml(name)}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+  
+  graph.nodes.forEach(node => {
+    lines.push(`      <node id="${escapeXml(node.person_id)}" label="${escapeXml(node.name)}">`);
+    lines.push(...attributeValues(getFieldValues(nodeFields, node), '        '));
+    lines.push('      </node>');
+  });
+  
+  lines.push('    </nodes>', '    <edges>');
+  
+  graph.edges.forEach((edge, index) => {
+    const weight = typeof edge.vector_sum === 'number' ? ` weight="${edge.vector_sum}"` : '';
+    lines.push(`      <edge id="e${index}" source="${escapeXml(edge.lower_person_id)}" target="${escapeXml(edge.higher_person_id)}"${weight}>`);
+    lines.push(...attributeValues(getFieldValues(edgeFields, edge), '        '));
+    lines.push('      </edge>');
+  });
+  
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+// Serialize a graph as DOT, with the node and edge fields as attributes and no styling
+function buildClusterDataDot(graph) {
+  const nodeFields = getNodeFields(graph.merged);
+  const edgeFields = getEdgeFields(getScoreKeys(graph.edges), graph.merged);
+  // Every value is quoted: numbers such as 1e-7 aren't valid DOT IDs unquoted
+  const formatAttributes = attributes => attributes
+    .map(([name, , value]) => `"${escapeDot(name)}"="${escapeDot(value)}"`)
+    .join(', ');
+  
+  const lines = [`graph "${escapeDot(`cluster ${graph.id}`)}" {`];
+  
+  graph.nodes.forEach(node => {
+    // Graphviz shows the name as the node's label
+    const attributes = getFieldValues(nodeFields, node).map(([name, type, value]) => [name === 'name' ? 'label' : name, type, value]);
+    lines.push(`  "${escapeDot(node.person_id)}" [${formatAttributes(attributes)}];`);
+  });
+  
+  graph.edges.forEach(edge => {
+    lines.push(`  "${escapeDot(edge.lower_person_id)}" -- "${escapeDot(edge.higher_person_id)}" [${formatAttributes(getFieldValues(edgeFields, edge))}];`);
+  });
+  
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize rows of values as CSV under a header row
+function buildCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+}
+
+// Serialize a graph's nodes as CSV, one row per member
+function buildNodesCsv(graph) {
+  const header = ['person_id', ...(graph.merged ? ['cluster_id'] : []), 'name', 'active', 'display_artwork'];
+  const rows = graph.nodes.map(node => [
+    node.person_id,
+    ...(graph.merged ? [node.cluster_id] : []),
+    node.name,
+    node.active,
+    node.display_artwork
+  ]);
+  return buildCsv(header, rows);
+}
+
+// Serialize a graph's edges as CSV, one column per score
+function buildEdgesCsv(graph) {
+  const scoreKeys = getScoreKeys(graph.edges);
+  const header = ['edge_id', ...(graph.merged ? ['cluster_id'] : []), 'lower_person_id', 'higher_person_id', 'status', 'sub_statuses', 'vector_sum', ...scoreKeys];
+  const rows = graph.edges.map(edge => [
+    edge.edge_id,
+    ...(graph.merged ? [edge.cluster_id] : []),
+    edge.lower_person_id,
+    edge.higher_person_id,
+    edge.status,
+    edge.sub_statuses.join(';'),
+    edge.vector_sum,
+    ...scoreKeys.map(key => edge.scores[key])
+  ]);
+  return buildCsv(header, rows);
+}
+
+// Serialize the shown clusters as normalized JSON, which the visualizer can import again
+function buildClusterJson(clusters) {
+  return JSON.stringify({
+    format: clusterExportFormat,
+    version: 1,
+    exported_at: new Date().toISOString(),
+    clusters: clusters.map(normalizeClusterForExport)
+  }, null, 2);
+}
+
+// Cluster data exporters by format: the file suffix, MIME type and serializer
+const clusterDataExporters = {
+  graphml: { suffix: '.graphml', type: 'application/graphml+xml', build: () => buildGraphML(getExportGraph()) },
+  gexf: { suffix: '.gexf', type: 'application/gexf+xml', build: () => buildGexf(getExportGraph()) },
+  dot: { suffix: '.dot', type: 'text/vnd.graphviz', build: () => buildClusterDataDot(getExportGraph()) },
+  'nodes-csv': { suffix: '-nodes.csv', type: 'text/csv', build: () => buildNodesCsv(getExportGraph()) },
+  'edges-csv': { suffix: '-edges.csv', type: 'text/csv', build: () => buildEdgesCsv(getExportGraph()) },
+  json: { suffix: '.json', type: 'application/json', build: () => buildClusterJson(getShownClusters()) }
+};
+
+// Save the shown clusters as a data file in one of the clusterDataExporters formats
+function exportClusterData(format) {
+  if (visualizerState.clusters.length === 0) {
+    setStatus('Error: There is no cluster to export', true);
+    return;
   }
   
-  // Clear the legend container
-  const legendContainer = document.getElementById('legend-container');
-  if (legendContainer) {
-    legendContainer.innerHTML = '';
+  try {
+    const exporter = clusterDataExporters[format];
+    const fileName = `${getExportFileName()}${exporter.suffix}`;
+    downloadBlob(new Blob([exporter.build()], { type: exporter.type }), fileName);
+    setStatus(`Exported ${fileName}`);
+  } catch (e) {
+    console.error('Error exporting cluster data:', e);
+    setStatus(`Error exporting cluster data: ${e.message}`, true);
   }
+}
+
+// Fill the legend, options and side panels for a rendered cluster and report how the render went
+function finishClusterRender(data, clusterLabel, nodes, validLinks, duplicateGroups, conflicts) {
+  renderLegend(validLinks);
+  renderEdgeWeightOptions(validLinks);
+  applyEdgeWeights();
+  applyEdgeFilters();
   
-  // First check if we have any intercepted GraphQL data with getPersonClusterDetails
-  let foundInterceptedData = false;
-  let clusterDataToVisualize = null;
+  renderMemberDetailsPanel();
+  renderConflictsPanel(conflicts, data.edges, nodes);
+  renderDuplicateGroupsPanel(duplicateGroups, nodes);
   
-  if (window.allGraphQLResponses && window.allGraphQLResponses.length > 0) {
-    debugLog(`Checking ${window.allGraphQLResponses.length} intercepted responses for cluster data`);
-    
-    // First try to find an exact match for the requested cluster ID
-    for (const response of window.allGraphQLResponses) {
-      // Check if it's a captureResponseBody message with getPersonClusterDetails
-      if (response.action === 'captureResponseBody' &&
-          response.requestBody &&
-          Array.isArray(response.requestBody)) {
-        
-        for (const item of response.requestBody) {
-          if (item.operationName === 'getPersonClusterDetails' &&
-              item.variables &&
-              item.variables.id === clusterId) {
-            
-            debugLog(`Found exact match for cluster ID ${clusterId} in intercepted data`);
-            const clusterData = transformToClusterData(response, clusterId);
-            if (clusterData) {
-              foundInterceptedData = true;
-              clusterDataToVisualize = clusterData;
-              break;
-            }
-          }
-        }
-        if (foundInterceptedData) break;
-      }
-      
-      // Check if it's a direct GraphQL response with the right cluster ID
-      try {
-        if (response.data &&
-            response.data.prsn_deduplicationClusters &&
-            response.data.prsn_deduplicationClusters.edges &&
-            response.data.prsn_deduplicationClusters.edges.length > 0 &&
-            response.data.prsn_deduplicationClusters.edges[0].node.id === clusterId) {
-          
-          debugLog(`Found exact match for cluster ID ${clusterId} in direct GraphQL response`);
-          const clusterData = transformToClusterData(response, clusterId);
-          if (clusterData) {
-            foundInterceptedData = true;
-            clusterDataToVisualize = clusterData;
-            break;
-          }
-        }
-      } catch (e) {
-        // Ignore errors in this check
-      }
-    }
-    
-    // If no exact match, try to use any getPersonClusterDetails response and modify it
-    if (!foundInterceptedData) {
-      for (const response of window.allGraphQLResponses) {
-        if (response.action === 'captureResponseBody' &&
-            response.requestBody &&
-            Array.isArray(response.requestBody)) {
-          
-          for (const item of response.requestBody) {
-            if (item.operationName === 'getPersonClusterDetails' &&
-                item.variables &&
-                item.variables.id) {
-              
-              // Create a modified copy of the response with the user-entered cluster ID
-              const modifiedResponse = JSON.parse(JSON.stringify(response));
-              for (const reqItem of modifiedResponse.requestBody) {
-                if (reqItem.operationName === 'getPersonClusterDetails') {
-                  reqItem.variables.id = clusterId;
-                }
-              }
-              
-              debugLog('Using modified getPersonClusterDetails with ID:', clusterId);
-              const clusterData = transformToClusterData(modifiedResponse, clusterId);
-              if (clusterData) {
-                // Override the ID with the user-entered ID
-                clusterData.id = clusterId;
-                foundInterceptedData = true;
-                clusterDataToVisualize = clusterData;
-                break;
-              }
-            }
-          }
-          if (foundInterceptedData) break;
-        }
-      }
-    }
+  visualizerState.matrix = { nodes, links: validLinks };
+  renderMatrixView();
+  
+  // Keep the search query across renders, matching it against the new members
+  searchMembers(visualizerState.search.query, false);
+  
+  // Now that everything is set up, show the current view and the side panel
+  setViewMode(visualizerState.view);
+  const sidePanel = getVisualizerElement('side-panel');
+  if (sidePanel) {
+    sidePanel.style.display = 'block';
   }
   
-  // If we found intercepted data, visualize it now
-  if (foundInterceptedData && clusterDataToVisualize) {
-    visualizeCluster(clusterDataToVisualize);
-    return;
+  // Warn about statuses the backend sent that the extension has no color for, and about review contradictions
+  const unrecognizedStatuses = Array.from(new Set(validLinks.map(d => getStatusKey(d.status))))
+    .filter(status => !isKnownStatus(status));
+  
+  const warnings = [];
+  if (unrecognizedStatuses.length > 0) {
+    warnings.push(`it has edge statuses the extension doesn't recognise: ${unrecognizedStatuses.join(', ')}`);
+  }
+  if (conflicts.length > 0) {
+    warnings.push(`it has ${conflicts.length} transitivity conflict${conflicts.length === 1 ? '' : 's'}`);
   }
   
-  // If no intercepted data found, try the background script
-  debugLog('No intercepted data found, trying background script');
-  chrome.runtime.sendMessage({
-    action: 'getClusterById',
-    clusterId
-  }, response => {
-    if (response && response.clusterData) {
-      debugLog('Found cluster data in background script', response.clusterData);
-      visualizeCluster(response.clusterData);
-    } else {
-      debugLog('No data found for cluster ID:', clusterId);
-      setStatus(`Loading cluster ${clusterId}...`, false);
-    }
-  });
+  if (warnings.length > 0) {
+    setWarning(`Visualized ${clusterLabel}, but ${warnings.join('; ')}`);
+  } else {
+    setStatus(`Visualized ${clusterLabel} successfully`);
+  }
+  debugLog(`${clusterLabel} visualization complete`);
 }
 
-// Visualize cluster using D3
-function visualizeCluster(data) {
+// Visualize cluster graph using D3
+function renderClusterGraph(data) {
   try {
     debugLog(`Visualizing cluster with ID: ${data.id}`);
     debugLog(`Cluster data:`, data);
     
     // First, ensure all previous visualization is completely cleared
-    const graphContainer = document.getElementById('graph-container');
+    const graphContainer = getVisualizerElement('graph-container');
     if (!graphContainer) {
       setStatus('Error: Graph container not found', true);
       debugLog('Error: Graph container not found');
       return;
     }
     
+    // Stop the previous layout so it doesn't keep ticking in the background
+    if (visualizerState.graph) {
+      if (visualizerState.graph.simulation) {
+        visualizerState.graph.simulation.stop();
+      }
+      visualizerState.graph = null;
+    }
+    
     // Clear the graph container and hide it until we're ready to show the new visualization
     graphContainer.style.display = 'none';
     graphContainer.innerHTML = '';
     
+    // Edge indices and the matrix belong to the previous cluster
+    visualizerState.selectedEdgeIndex = null;
+    visualizerState.matrix = null;
+    const matrixContainer = getVisualizerElement('matrix-container');
+    if (matrixContainer) {
+      matrixContainer.style.display = 'none';
+      matrixContainer.innerHTML = '';
+    }
+    
+    // Hide the side panel until it has been filled for the new cluster
+    const sidePanel = getVisualizerElement('side-panel');
+    if (sidePanel) {
+      sidePanel.style.display = 'none';
+    }
+    
     // Clear the legend container
-    const legendContainer = document.getElementById('legend-container');
+    const legendContainer = getVisualizerElement('legend-container');
     if (legendContainer) {
       legendContainer.innerHTML = '';
     }
@@ -1484,27 +3984,10 @@ function visualizeCluster(data) {
       return;
     }
     
-    setStatus(`Rendering cluster ${data.id}...`);
+    // Merged pages are labelled by their cluster count rather than a single ID
+    const clusterLabel = data.clusterIds ? `${data.clusterIds.length} clusters` : `cluster ${data.id}`;
     
-    // Create static legend
-    if (legendContainer) {
-      // Create legend items for each status color
-      Object.entries(config.statusColors).forEach(([status, color]) => {
-        const legendItem = document.createElement('div');
-        legendItem.style = `display: flex; align-items: center; margin-right: 15px; margin-bottom: 5px;`;
-        
-        const colorBox = document.createElement('div');
-        colorBox.style = `width: 15px; height: 15px; background-color: ${color}; margin-right: 5px;`;
-        
-        const statusText = document.createElement('span');
-        statusText.textContent = status;
-        statusText.style = `font-size: 12px; color: #333333;`;
-        
-        legendItem.appendChild(colorBox);
-        legendItem.appendChild(statusText);
-        legendContainer.appendChild(legendItem);
-      });
-    }
+    setStatus(`Rendering ${clusterLabel}...`);
     
     // Check if D3 is available
     if (!window.d3) {
@@ -1513,57 +3996,45 @@ function visualizeCluster(data) {
       return;
     }
     
-    const width = 600;
-    const height = 500;
-    
-    // Add CSS styles for the visualization
-    const style = document.createElement('style');
-    style.textContent = `
-      #graph-container svg {
-        display: block;
-        margin: 0 auto;
-      }
-      #graph-container .dragging {
-        cursor: grabbing;
-      }
-      #graph-container circle {
-        cursor: grab;
-        transition: r 0.2s ease;
-      }
-      #graph-container line {
-        transition: stroke-width 0.2s ease;
-      }
-      #graph-container text {
-        pointer-events: none;
-      }
-    `;
-    document.head.appendChild(style);
-    
-    // Create SVG
-    const svg = d3.select("#graph-container")
-      .append("svg")
-      .attr("width", width)
-      .attr("height", height)
-      .attr("viewBox", [0, 0, width, height]);
+    // The size follows the panel, see resize() below
+    let { width, height } = visualizerState.graphSize;
     
-    // Create a container group for all visualization elements
-    const container = svg.append("g");
-    
-    // Note: Legend removed as requested, but edge colors are still maintained
+    // Merged pages get one grid cell per cluster, so the layout can be larger than the viewport
+    const clusterLayout = data.clusterIds ? layoutClusterAnchors(data.clusterIds, 400) : null;
+    let layoutWidth = clusterLayout ? Math.max(width, clusterLayout.width) : width;
+    let layoutHeight = clusterLayout ? Math.max(height, clusterLayout.height) : height;
     
     // Prepare data for D3
     const nodes = data.nodes.map(node => ({
       id: node.person_id,
-      name: node.name || 'No name'
+      name: node.name || 'No name',
+      clusterId: node.cluster_id || data.id,
+      active: node.active !== false,
+      artwork: node.display_artwork || null,
+      member: node.member || null
     }));
     
     debugLog(`Prepared ${nodes.length} nodes for visualization`);
     
-    const links = data.edges.map(edge => ({
+    // Color members by the person they will be merged into
+    const duplicateGroups = computeDuplicateGroups(data.nodes, data.edges);
+    const groupIndexById = new Map();
+    duplicateGroups.forEach((group, index) => {
+      group.forEach(personId => groupIndexById.set(personId, index));
+    });
+    nodes.forEach(node => {
+      node.duplicateGroup = groupIndexById.has(node.id) ? groupIndexById.get(node.id) : null;
+    });
+    
+    const links = data.edges.map((edge, edgeIndex) => ({
+      edgeIndex,
       source: edge.lower_person_id,
       target: edge.higher_person_id,
       status: edge.status,
       subStatus: edge.sub_status_type,
+      subStatuses: edge.sub_statuses || (edge.sub_status_type ? [edge.sub_status_type] : []),
+      scores: edge.scores || {},
+      vectorSum: edge.vector_sum,
       notes: edge.notes
     }));
     
@@ -1582,25 +4053,124 @@ function visualizeCluster(data) {
     
     debugLog(`${validLinks.length} valid links after filtering`);
     
+    // Find edges that contradict the DUPLICATE groups
+    const conflicts = findTransitivityConflicts(data.nodes, data.edges);
+    const conflictEdgeIndices = new Set();
+    conflicts.forEach(conflict => {
+      conflictEdgeIndices.add(conflict.edgeIndex);
+      conflict.duplicateEdgeIndices.forEach(edgeIndex => conflictEdgeIndices.add(edgeIndex));
+    });
+    
+    // Graphviz engines lay out and draw the graph themselves
+    if (visualizerState.layout !== 'force') {
+      renderGraphvizGraph(graphContainer, nodes, validLinks, conflictEdgeIndices);
+      finishClusterRender(data, clusterLabel, nodes, validLinks, duplicateGroups, conflicts);
+      return;
+    }
+    
+    // Create SVG
+    const svg = d3.select(graphContainer)
+      .append("svg")
+      .attr("width", width)
+      .attr("height", height)
+      .attr("viewBox", [0, 0, width, height])
+      .classed("show-edge-labels", visualizerState.showEdgeLabels);
+    
+    // Create a container group for all visualization elements
+    const container = svg.append("g");
+    
     // Create a force simulation - adjust for larger nodes
     const simulation = d3.forceSimulation(nodes)
       .force("link", d3.forceLink(validLinks).id(d => d.id).distance(200)) // Increased distance
       .force("charge", d3.forceManyBody().strength(-600)) // Stronger repulsion
-      .force("center", d3.forceCenter(width / 2, height / 2).strength(0.1))
-      .force("x", d3.forceX(width / 2).strength(0.05))
-      .force("y", d3.forceY(height / 2).strength(0.05))
       .force("collision", d3.forceCollide().radius(45)) // Add collision detection
       .alphaDecay(0.028); // Slightly slower decay for smoother transitions
     
+    if (clusterLayout) {
+      // Pull each cluster towards its own grid cell so they lay out as separate components
+      simulation
+        .force("charge", d3.forceManyBody().strength(-600).distanceMax(300))
+        .force("x", d3.forceX(d => clusterLayout.anchors.get(d.clusterId).x).strength(0.3))
+        .force("y", d3.forceY(d => clusterLayout.anchors.get(d.clusterId).y).strength(0.3));
+    } else {
+      simulation
+        .force("center", d3.forceCenter(width / 2, height / 2).strength(0.1))
+        .force("x", d3.forceX(width / 2).strength(0.05))
+        .force("y", d3.forceY(height / 2).strength(0.05));
+    }
+    
+    // Draw a halo behind the edges involved in a conflict
+    const conflictHalo = container.append("g")
+      .selectAll("line")
+      .data(validLinks.filter(d => conflictEdgeIndices.has(d.edgeIndex)))
+      .join("line")
+      .attr("stroke", config.conflictHighlightColor)
+      .attr("stroke-opacity", 0.6)
+      .attr("stroke-width", 12)
+      .attr("stroke-linecap", "round");
+    
+    // Draw a halo behind the edge selected from the matrix view
+    const selectionHalo = container.append("g")
+      .selectAll("line")
+      .data(validLinks)
+      .join("line")
+      .attr("stroke", "#000000")
+      .attr("stroke-opacity", 0.35)
+      .attr("stroke-width", 14)
+      .attr("stroke-linecap", "round")
+      .style("display", "none");
+    
     // Create links
     const link = container.append("g")
       .selectAll("line")
       .data(validLinks)
       .join("line")
-      .attr("stroke", d => config.statusColors[d.status?.toUpperCase()] || config.statusColors.UNKNOWN)
+      .attr("stroke", d => getStatusColor(d.status))
       .attr("stroke-width", 2);
     
-    // No link text since we have colored edges
+    // Add vector sum labels to links, shown only when edge labels are enabled
+    const linkLabel = container.append("g")
+      .selectAll("text")
+      .data(validLinks)
+      .join("text")
+      .attr("class", "edge-label")
+      .attr("text-anchor", "middle")
+      .attr("dy", "-0.3em")
+      .attr("font-size", "10px")
+      .attr("fill", "#333333")
+      .attr("stroke", "#ffffff")
+      .attr("stroke-width", "3px")
+      .attr("paint-order", "stroke")
+      .text(d => formatScore(d.vectorSum));
+    
+    // Create a tooltip for the score breakdown of the hovered link
+    const tooltip = d3.select(graphContainer)
+      .append("div")
+      .attr("class", "edge-tooltip");
+    
+    // Add wide transparent lines on top of the links so they are easy to hover
+    const linkHitArea = container.append("g")
+      .selectAll("line")
+      .data(validLinks)
+      .join("line")
+      .attr("class", "link-hit-area")
+      .attr("stroke", "transparent")
+      .attr("stroke-width", 12)
+      .on("mouseover", (event, d) => {
+        tooltip.html("");
+        tooltip.node().appendChild(buildEdgeTooltipContent(d));
+        tooltip.style("display", "block");
+      })
+      .on("mousemove", (event) => {
+        // Keep the tooltip next to the pointer, flipping it left near the right edge
+        const [x, y] = d3.pointer(event, graphContainer);
+        const tooltipWidth = tooltip.node().offsetWidth;
+        const left = x + 12 + tooltipWidth > graphContainer.clientWidth ? x - 12 - tooltipWidth : x + 12;
+        tooltip.style("left", `${Math.max(0, left)}px`).style("top", `${y + 12}px`);
+      })
+      .on("mouseout", () => {
+        tooltip.style("display", "none");
+      });
     
     // Create nodes
     const node = container.append("g")
@@ -1608,13 +4178,39 @@ function visualizeCluster(data) {
       .data(nodes)
       .join("g");
     
-    // Add circles to nodes - make them larger
+    // Add a ring around members matching the search
+    node.append("circle")
+      .attr("class", "search-ring")
+      .attr("r", 42)
+      .attr("fill", "none")
+      .attr("stroke", config.searchHighlightColor)
+      .style("display", "none");
+    
+    // Add circles to nodes - make them larger, with inactive members dashed and muted
     node.append("circle")
+      .attr("class", "node-circle")
       .attr("r", 35)
-      .attr("fill", "#e6f3ff")
-      .attr("stroke", "#333333")
+      .attr("fill", getNodeFill)
+      .attr("fill-opacity", d => d.active ? 1 : config.inactiveNodeOpacity)
+      .attr("stroke", d => d.active ? "#333333" : config.inactiveNodeStroke)
+      .attr("stroke-dasharray", d => d.active ? null : "6,4")
       .attr("stroke-width", 1.5);
     
+    // Show the member's artwork as a round thumbnail above its name
+    node.filter(d => d.artwork)
+      .append("image")
+      .attr("href", d => d.artwork)
+      .attr("x", -12)
+      .attr("y", -34)
+      .attr("width", 24)
+      .attr("height", 24)
+      .attr("preserveAspectRatio", "xMidYMid slice")
+      .style("clip-path", "circle(50%)")
+      .style("pointer-events", "none");
+    
+    // Show a member's details when it is clicked (dragging doesn't count as a click)
+    node.on("click", (event, d) => selectMember(d.id));
+    
     // No background rectangle for text
     
     // Add name text to nodes (more prominent) - no wrapping, with better contrast
@@ -1624,7 +4220,7 @@ function visualizeCluster(data) {
       .text(d => d.name || 'No name')
       .attr("font-size", "12px")
       .attr("font-weight", "bold")
-      .attr("fill", "#000000")
+      .attr("fill", d => d.active ? "#000000" : "#666666")
       .attr("stroke", "#ffffff")
       .attr("stroke-width", "0.3px");
     
@@ -1636,6 +4232,16 @@ function visualizeCluster(data) {
       .attr("font-size", "10px")
       .attr("fill", "#333333");
     
+    // Spell out that a member is inactive, below its ID
+    node.filter(d => !d.active)
+      .append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "2.4em")
+      .text("inactive")
+      .attr("font-size", "10px")
+      .attr("font-style", "italic")
+      .attr("fill", "#666666");
+    
     // Add drag behavior
     node.call(d3.drag()
       .on("start", dragstarted)
@@ -1650,8 +4256,9 @@ function visualizeCluster(data) {
     
     svg.call(zoom);
     
-    // Initialize with a slight zoom to ensure proper rendering
-    svg.call(zoom.transform, d3.zoomIdentity.translate(width/2, height/2).scale(0.9).translate(-width/2, -height/2));
+    // Initialize with a slight zoom to ensure proper rendering, fitting merged pages into the viewport
+    const initialScale = 0.9 * Math.min(width / layoutWidth, height / layoutHeight);
+    svg.call(zoom.transform, d3.zoomIdentity.translate(width/2, height/2).scale(initialScale).translate(-layoutWidth/2, -layoutHeight/2));
     
     function zoomed(event) {
       // Apply the zoom transform only to the container group
@@ -1688,8 +4295,8 @@ function visualizeCluster(data) {
     function constrainNode(d) {
       // Add padding to keep nodes fully visible - increased for larger nodes
       const padding = 50;
-      d.x = Math.max(padding, Math.min(width - padding, d.x));
-      d.y = Math.max(padding, Math.min(height - padding, d.y));
+      d.x = Math.max(padding, Math.min(layoutWidth - padding, d.x));
+      d.y = Math.max(padding, Math.min(layoutHeight - padding, d.y));
       return d;
     }
     
@@ -1713,15 +4320,80 @@ function visualizeCluster(data) {
         .attr("x2", d => d.target.x)
         .attr("y2", d => d.target.y);
       
+      selectionHalo
+        .attr("x1", d => d.source.x)
+        .attr("y1", d => d.source.y)
+        .attr("x2", d => d.target.x)
+        .attr("y2", d => d.target.y);
+      
+      conflictHalo
+        .attr("x1", d => d.source.x)
+        .attr("y1", d => d.source.y)
+        .attr("x2", d => d.target.x)
+        .attr("y2", d => d.target.y);
+      
+      linkHitArea
+        .attr("x1", d => d.source.x)
+        .attr("y1", d => d.source.y)
+        .attr("x2", d => d.target.x)
+        .attr("y2", d => d.target.y);
+      
+      // Keep edge labels at the midpoint of their link
+      linkLabel
+        .attr("x", d => (d.source.x + d.target.x) / 2)
+        .attr("y", d => (d.source.y + d.target.y) / 2);
+      
       // Update node positions
       node.attr("transform", d => `translate(${d.x},${d.y})`);
     });
     
-    // Now that everything is set up, make the graph container visible
-    graphContainer.style.display = 'block';
+    // Follow the panel size: resize the SVG, re-centre the forces and move the clamping bounds
+    function resize(newWidth, newHeight) {
+      width = newWidth;
+      height = newHeight;
+      layoutWidth = clusterLayout ? Math.max(width, clusterLayout.width) : width;
+      layoutHeight = clusterLayout ? Math.max(height, clusterLayout.height) : height;
+      
+      svg.attr("width", width)
+        .attr("height", height)
+        .attr("viewBox", [0, 0, width, height]);
+      zoom.extent([[0, 0], [width, height]]);
+      
+      if (!clusterLayout) {
+        simulation.force("center").x(width / 2).y(height / 2);
+        simulation.force("x").x(width / 2);
+        simulation.force("y").y(height / 2);
+      }
+      
+      simulation.alpha(0.3).restart();
+    }
+    
+    // Dim members outside the search matches, and the edges not between two matches
+    function highlightNodes(matchedIds, focusedId) {
+      const isDimmed = d => matchedIds !== null && !matchedIds.has(d.id);
+      const linkOpacity = d => matchedIds !== null && (isDimmed(d.source) || isDimmed(d.target)) ? 0.15 : null;
+      
+      node.style("opacity", d => isDimmed(d) ? 0.2 : null);
+      node.select(".search-ring")
+        .style("display", d => matchedIds !== null && !isDimmed(d) ? null : "none")
+        .attr("stroke-width", d => d.id === focusedId ? 6 : 3);
+      [link, linkLabel, conflictHalo, selectionHalo].forEach(selection => selection.style("opacity", linkOpacity));
+    }
+    
+    // Zoom in on a member, keeping the current zoom if it is already closer
+    function focusNode(personId) {
+      const d = nodes.find(n => n.id === personId);
+      if (!d) return;
+      
+      const scale = Math.max(d3.zoomTransform(svg.node()).k, 1.5);
+      svg.transition()
+        .duration(500)
+        .call(zoom.transform, d3.zoomIdentity.translate(width / 2, height / 2).scale(scale).translate(-d.x, -d.y));
+    }
     
-    setStatus(`Cluster ${data.id} visualized successfully`);
-    debugLog(`Cluster ${data.id} visualization complete`);
+    // Keep references so options can restyle the graph without re-rendering it
+    visualizerState.graph = { resize, highlightNodes, focusNode, nodes, simulation, node, link, linkHitArea, linkLabel, conflictHalo, selectionHalo, links: validLinks };
+    finishClusterRender(data, clusterLabel, nodes, validLinks, duplicateGroups, conflicts);
   } catch (e) {
     console.error('Error visualizing cluster:', e);
     setStatus(`Error visualizing cluster: ${e.message}`, true);
@@ -1740,28 +4412,34 @@ function watchForUrlChanges() {
   }).observe(document, {subtree: true, childList: true});
 }
 
-// Auto-visualize the current cluster based on URL
+// Auto-visualize the current cluster based on URL: a duplicates page's cluster, or the cluster of a person page's person
 function autoVisualizeCurrentCluster() {
   const urlMatch = window.location.href.match(/duplicates\/(\d+)/);
-  if (urlMatch && urlMatch[1]) {
-    const newClusterId = urlMatch[1];
+  const personMatch = window.location.pathname.match(new RegExp(`${config.personPagePath}([^/]+)`));
+  if ((urlMatch && urlMatch[1]) || (personMatch && personMatch[1])) {
+    const newClusterId = urlMatch ? urlMatch[1] : null;
+    const personId = personMatch ? decodeURIComponent(personMatch[1]) : null;
     
     // Clear any existing visualization first
-    const graphContainer = document.getElementById('graph-container');
+    const graphContainer = getVisualizerElement('graph-container');
     if (graphContainer) {
       graphContainer.style.display = 'none';
       graphContainer.innerHTML = '';
     }
     
     // Clear the legend container
-    const legendContainer = document.getElementById('legend-container');
+    const legendContainer = getVisualizerElement('legend-container');
     if (legendContainer) {
       legendContainer.innerHTML = '';
     }
     
     // Fetch and visualize with a small delay to ensure UI is cleared first
     setTimeout(() => {
-      fetchAndVisualizeCluster(newClusterId);
+      if (newClusterId) {
+        fetchAndVisualizeCluster(newClusterId);
+      } else {
+        fetchAndVisualizePersonCluster(personId);
+      }
     }, 50);
   }
 }
@@ -1780,7 +4458,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     
     // Toggle visualizer visibility
-    const container = document.getElementById('cluster-visualizer');
+    const container = getVisualizerElement('cluster-visualizer');
     if (container) {
       const newTransform = container.style.transform === 'translateX(0px)' ? 'translateX(105%)' : 'translateX(0)';
       debugLog(`Toggling visualizer visibility from ${container.style.transform} to ${newTransform}`);
@@ -1899,10 +4577,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
     }
     
+    sendResponse({ success: true });
+    return true; // Keep the message channel open for the async response
+  } else if (message.action === 'showCluster') {
+    // The popup opens a cluster from its capture history or its cluster ID box
+    debugLog('Show cluster action received for ID:', message.clusterId);
+    
+    if (!visualizerCreated) {
+      createVisualizerUI();
+    }
+    
+    const container = getVisualizerElement('cluster-visualizer');
+    if (container && container.style.transform.includes('105%')) {
+      container.style.transform = 'translateX(0)';
+    }
+    
+    setStatus(`Loading cluster ${message.clusterId}...`);
+    chrome.runtime.sendMessage({ action: 'getClusterById', clusterId: message.clusterId }, response => {
+      if (response && response.clusterData) {
+        lastClusterData = response.clusterData;
+        visualizeCluster(response.clusterData);
+      } else {
+        // Not captured by the background script; check the page's own responses, then fetch it
+        fetchAndVisualizeCluster(message.clusterId);
+      }
+    });
+    
     sendResponse({ success: true });
     return true; // Keep the message channel open for the async response
   } else if (message.action === 'newClusterData') {
     debugLog('New cluster data action received');
+    // The viewer shows the clusters it loaded or imported; captures in other tabs mustn't replace them
+    if (isViewerPage) {
+      sendResponse({ success: false });
+      return false;
+    }
+    
     // New cluster data received from background script
     lastClusterData = message.data;
     
@@ -1913,14 +4623,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     
     // Clear any existing visualization first
-    const graphContainer = document.getElementById('graph-container');
+    const graphContainer = getVisualizerElement('graph-container');
     if (graphContainer) {
       graphContainer.style.display = 'none';
       graphContainer.innerHTML = '';
     }
     
     // Clear the legend container
-    const legendContainer = document.getElementById('legend-container');
+    const legendContainer = getVisualizerElement('legend-container');
     if (legendContainer) {
       legendContainer.innerHTML = '';
     }
@@ -1964,6 +4674,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Create visualizer UI
   createVisualizerUI();
   
+  // The viewer page has no Data Mechanic URL to follow; viewer.js loads its clusters
+  if (isViewerPage) return;
+  
   // Watch for URL changes
   watchForUrlChanges();
   
@@ -1972,4 +4685,6 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Notify background script that content script is loaded
-chrome.runtime.sendMessage({ action: 'contentScriptLoaded' });
\ No newline at end of file
+if (!isViewerPage) {
+  chrome.runtime.sendMessage({ action: 'contentScriptLoaded' });
+}
\ No newline at end of file
@@ -4,10 +4,17 @@ document.addEventListener('DOMContentLoaded', function() {
   const statusElement = document.getElementById('status');
   const toggleVisualizerButton = document.getElementById('toggle-visualizer');
   const clearDataButton = document.getElementById('clear-data');
+  const openViewerButton = document.getElementById('open-viewer');
   const clusterInfoElement = document.getElementById('cluster-info');
   const clusterIdElement = document.getElementById('cluster-id');
   const nodeCountElement = document.getElementById('node-count');
   const edgeCountElement = document.getElementById('edge-count');
+  const clusterCountElement = document.getElementById('cluster-count');
+  const historyElement = document.getElementById('history');
+  const historyListElement = document.getElementById('history-list');
+  const lookupForm = document.getElementById('lookup');
+  const lookupInput = document.getElementById('lookup-cluster-id');
+  const lookupOptions = document.getElementById('lookup-cluster-id-options');
   
   console.log('Popup loaded, checking for cluster data');
   
@@ -28,6 +35,7 @@ document.addEventListener('DOMContentLoaded', function() {
       clusterIdElement.textContent = clusterData.id;
       nodeCountElement.textContent = clusterData.nodes.length;
       edgeCountElement.textContent = clusterData.edges.length;
+      clusterCountElement.textContent = response.clusterCount || 1;
     } else {
       console.log('No cluster data found');
       
@@ -38,6 +46,85 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
   
+  // List every cluster captured in this session, newest first
+  chrome.runtime.sendMessage({ action: 'getClusterHistory' }, function(response) {
+    console.log('Received cluster history from background script:', response);
+    
+    // Autocomplete the cluster ID box with recently looked-up IDs, then the captured clusters
+    fillClusterIdOptions(lookupOptions, response && response.history);
+    
+    if (!response || !response.history || response.history.length === 0) {
+      historyElement.style.display = 'none';
+      return;
+    }
+    
+    historyListElement.innerHTML = '';
+    response.history.forEach(function(entry) {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+      item.title = 'Open this cluster in the visualizer';
+      
+      const title = document.createElement('div');
+      title.className = 'cluster-id';
+      title.textContent = entry.id;
+      item.appendChild(title);
+      
+      const stats = document.createElement('div');
+      stats.className = 'stats';
+      stats.textContent = `${entry.memberCount} members, ${entry.edgeCount} edges, captured ${new Date(entry.capturedAt).toLocaleTimeString()}`;
+      item.appendChild(stats);
+      
+      const statuses = document.createElement('div');
+      statuses.className = 'stats';
+      statuses.textContent = Object.entries(entry.statusCounts)
+        .map(function([status, count]) { return `${status} ${count}`; })
+        .join(', ');
+      item.appendChild(statuses);
+      
+      item.addEventListener('click', function() {
+        openCluster(entry.id);
+      });
+      historyListElement.appendChild(item);
+    });
+    historyElement.style.display = 'block';
+  });
+  
+  // Cluster ID box: remember the ID, then open it like a captured cluster
+  lookupForm.addEventListener('submit', function(event) {
+    event.preventDefault();
+    const clusterId = lookupInput.value.trim();
+    if (!clusterId) return;
+    
+    console.log('Looking up cluster:', clusterId);
+    rememberClusterId(clusterId, function() {
+      openCluster(clusterId);
+    });
+  });
+  
+  // Open a cluster in the visualizer on the active tab, or in the viewer if the tab has no visualizer
+  function openCluster(clusterId) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      const openInViewer = function() {
+        chrome.tabs.create({ url: `${chrome.runtime.getURL('assets/viewer.html')}#cluster=${encodeURIComponent(clusterId)}` });
+        window.close();
+      };
+      
+      if (!tabs[0]) {
+        openInViewer();
+        return;
+      }
+      
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'showCluster', clusterId }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          console.log('Active tab has no visualizer, opening the viewer instead');
+          openInViewer();
+          return;
+        }
+        window.close();
+      });
+    });
+  }
+  
   // Toggle visualizer button
   toggleVisualizerButton.addEventListener('click', function() {
     console.log('Toggle visualizer button clicked');
@@ -64,12 +151,23 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // Open viewer button: browse every captured cluster in a tab of its own
+  openViewerButton.addEventListener('click', function() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('assets/viewer.html') });
+    window.close();
+  });
+  
   // Clear data button
   clearDataButton.addEventListener('click', function() {
     chrome.runtime.sendMessage({ action: 'clearData' }, function() {
       statusElement.textContent = 'Data cleared. Waiting for new GraphQL requests...';
       statusElement.className = 'status inactive';
       clusterInfoElement.style.display = 'none';
+      
+      // The captured clusters are gone; only looked-up IDs are left to suggest
+      historyListElement.innerHTML = '';
+      historyElement.style.display = 'none';
+      fillClusterIdOptions(lookupOptions, []);
     });
   });
 });
\ No newline at end of file
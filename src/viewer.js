@@ -0,0 +1,30 @@
+// Viewer page script for GraphQL Cluster Visualizer Extension
+// Shows every captured cluster full-screen, using the transform and rendering code from content-script.js
+
+document.addEventListener('DOMContentLoaded', function() {
+  setStatus('Loading captured clusters...');
+  
+  chrome.runtime.sendMessage({ action: 'getAllClusters' }, function(response) {
+    // The popup links to a cluster with #cluster=<id>; show that one first
+    const hashMatch = window.location.hash.match(/^#cluster=(.+)$/);
+    const requestedId = hashMatch ? decodeURIComponent(hashMatch[1]) : null;
+    const capturedClusters = response && response.clusters ? response.clusters : [];
+    const requestedCaptured = capturedClusters.some(function(cluster) { return cluster.id === requestedId; });
+    
+    if (capturedClusters.length > 0) {
+      const clusters = capturedClusters.slice().sort(function(a, b) {
+        return (b.id === requestedId) - (a.id === requestedId);
+      });
+      
+      lastClusterData = clusters;
+      visualizeCluster(clusters);
+    }
+    
+    if (requestedId && !requestedCaptured) {
+      // The other captured clusters stay browsable; only the requested one is missing
+      setWarning(`Cluster ${requestedId} hasn't been captured. Open it in Data Mechanic first, or import a saved copy.${capturedClusters.length > 0 ? ' Showing the captured clusters instead.' : ''}`);
+    } else if (capturedClusters.length === 0) {
+      setStatus('No clusters captured yet. Use Import… or drop a saved cluster, GraphQL response or request log here.');
+    }
+  });
+});
@@ -0,0 +1,63 @@
+// Tests for cluster-graph.js: duplicate groups and the transitivity conflicts within them
+// Run with npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDuplicateGroups, findTransitivityConflicts } = require('../src/cluster-graph.js');
+
+// Build members and edges in the transformed cluster format from [lower, higher, status] triples
+function buildCluster(personIds, edgeSpecs) {
+  return {
+    nodes: personIds.map(personId => ({ person_id: personId })),
+    edges: edgeSpecs.map(([lower, higher, status]) => ({
+      lower_person_id: lower,
+      higher_person_id: higher,
+      status
+    }))
+  };
+}
+
+test('groups members joined by chains of DUPLICATE edges, largest first', () => {
+  const { nodes, edges } = buildCluster(['a', 'b', 'c', 'd', 'e', 'f'], [
+    ['d', 'e', 'DUPLICATE'],
+    ['a', 'b', 'DUPLICATE'],
+    ['b', 'c', 'duplicate'],
+    ['c', 'f', 'PENDING'],
+    ['e', 'f', 'UNIQUE']
+  ]);
+  
+  const groups = computeDuplicateGroups(nodes, edges).map(group => group.slice().sort());
+  assert.deepEqual(groups, [['a', 'b', 'c'], ['d', 'e']]);
+});
+
+test('ignores DUPLICATE edges to people outside the cluster', () => {
+  const { nodes, edges } = buildCluster(['a', 'b'], [['a', 'x', 'DUPLICATE']]);
+  assert.deepEqual(computeDuplicateGroups(nodes, edges), []);
+});
+
+test('reports a UNIQUE edge inside a group with the DUPLICATE path it contradicts', () => {
+  const { nodes, edges } = buildCluster(['a', 'b', 'c', 'd'], [
+    ['a', 'b', 'DUPLICATE'],
+    ['b', 'c', 'DUPLICATE'],
+    ['c', 'd', 'DUPLICATE'],
+    ['a', 'c', 'UNIQUE']
+  ]);
+  
+  assert.deepEqual(findTransitivityConflicts(nodes, edges), [{
+    edgeIndex: 3,
+    path: ['a', 'b', 'c'],
+    duplicateEdgeIndices: [0, 1]
+  }]);
+});
+
+test('does not report a UNIQUE edge between two groups', () => {
+  const { nodes, edges } = buildCluster(['a', 'b', 'c', 'd'], [
+    ['a', 'b', 'DUPLICATE'],
+    ['c', 'd', 'DUPLICATE'],
+    ['b', 'c', 'UNIQUE'],
+    ['a', 'd', 'unique']
+  ]);
+  
+  assert.equal(computeDuplicateGroups(nodes, edges).length, 2);
+  assert.deepEqual(findTransitivityConflicts(nodes, edges), []);
+});
@@ -0,0 +1,88 @@
+// Tests for cluster-parser.js against saved responses of every shape the extension handles
+// Run with npm test; fixtures are in test/fixtures
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isClusterData, transformToClusterData } = require('../src/cluster-parser.js');
+
+// Read a fixture as JSON, the way the background page and the import button receive it
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// Check the sample cluster every fixture carries: 3 members joined by 2 scored edges
+function assertSampleCluster(cluster) {
+  assert.equal(cluster.id, '2682385');
+  assert.deepEqual(cluster.nodes.map(node => node.person_id), ['70107929', '70022953', '70031591']);
+  assert.deepEqual(cluster.edges.map(edge => [edge.lower_person_id, edge.higher_person_id]), [
+    ['70022953', '70107929'],
+    ['70031591', '70107929']
+  ]);
+  assert.equal(cluster.edges[0].status, 'PENDING');
+  assert.equal(cluster.edges[0].scores.nameScore, 0.90061516);
+  assert.equal(cluster.edges[0].vector_sum, 1.9006152);
+}
+
+const sampleFixtures = [
+  'prsn-deduplication-clusters.json',
+  'deduplication-clusters.json',
+  'batch.json',
+  'json-string.json',
+  'capture-response-body.json',
+  'capture-response-body-legacy.json',
+  'person-deduplication-cluster.json',
+  'exported.json'
+];
+
+sampleFixtures.forEach(name => {
+  test(`finds the sample cluster in ${name}`, () => {
+    const response = loadFixture(name);
+    assert.equal(isClusterData(response), true);
+    
+    const clusters = transformToClusterData(response);
+    assert.equal(clusters.length, 1);
+    assertSampleCluster(clusters[0]);
+  });
+});
+
+test('keeps the source of exported clusters', () => {
+  const [cluster] = transformToClusterData(loadFixture('exported.json'));
+  assert.equal(cluster.source.type, 'captured');
+  assert.equal(cluster.source.operationName, 'getPersonClusterDetails');
+  assert.equal(cluster.nodes[0].member, null);
+});
+
+test('returns only the requested cluster', () => {
+  const response = loadFixture('malformed-cluster.json');
+  assert.deepEqual(transformToClusterData(response, '2682385').map(cluster => cluster.id), ['2682385']);
+  assert.equal(transformToClusterData(response, '999'), null);
+});
+
+test('skips malformed members, edges and clusters without dropping the page', () => {
+  const response = loadFixture('malformed-cluster.json');
+  assert.equal(isClusterData(response), true);
+
+  const clusters = transformToClusterData(response);
+  assert.deepEqual(clusters.map(cluster => cluster.id), ['2682386', '2682385']);
+  assert.equal(clusters[0].nodes.length, 3);
+  assert.equal(clusters[0].edges.length, 2);
+  assertSampleCluster(clusters[1]);
+});
+
+test('finds no clusters in responses without any', () => {
+  [
+    null,
+    '',
+    'not json',
+    [],
+    { data: { viewer: { id: 'u1' } } },
+    { errors: [{ message: 'Not authorized' }] },
+    { data: { person: { id: '70107929', deduplicationCluster: null } } },
+    { action: 'captureResponseBody', responseBody: null }
+  ].forEach(response => {
+    assert.equal(isClusterData(response), false);
+    assert.equal(transformToClusterData(response), null);
+  });
+});